@@ -0,0 +1,23 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+/**
+ * Error reported by a hook call which was aborted through an AbortSignal.
+ * The abort reason of the signal is available as `cause`.
+ */
+class AbortError extends Error {
+	/**
+	 * @param {any=} reason the abort reason of the signal
+	 */
+	constructor(reason = undefined) {
+		super("The operation was aborted");
+		this.name = "AbortError";
+		this.code = "ABORT_ERR";
+		if (reason !== undefined) this.cause = reason;
+	}
+}
+
+module.exports = AbortError;
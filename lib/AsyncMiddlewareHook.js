@@ -0,0 +1,177 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const Hook = require("./Hook");
+const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
+
+// `next` of async taps takes a callback, `next` of sync and promise taps
+// (and of async taps called without callback) returns a promise.
+// Sync taps may return a promise as their result.
+// Errors passed on from `next` keep the details of the failed tap.
+const reportsErrors = hookCompiler =>
+	!!hookCompiler.options.errors || hookCompiler.hasTapEvent("tapError");
+
+class AsyncMiddlewareHookCodeFactory extends HookCodeFactory {
+	content({ onError, onResult }) {
+		const count = this.options.taps.length;
+		const forwarding = reportsErrors(this);
+		let code = "";
+		if (forwarding) code += "var _middlewareErrors = new Set();\n";
+		for (let i = 0; i < count; i++) {
+			const tap = this.options.taps[i];
+			code += `function _dispatch${i}(_middlewareCallback${i}) {\n`;
+			code += `var _nextCalled${i} = false;\n`;
+			if (tap.type === "async") {
+				code += `var _middlewareNext${i} = (function(_nextCallback${i}) {\n`;
+			} else {
+				code += `var _middlewareNext${i} = (function() {\n`;
+			}
+			code += `if(_nextCalled${i}) throw new Error("next() called multiple times");\n`;
+			code += `_nextCalled${i} = true;\n`;
+			if (tap.type === "async") {
+				code += `if(typeof _nextCallback${i} === "function") {\n`;
+				if (forwarding) {
+					code += `_dispatch${i +
+						1}((function(_errNext${i}, _resultNext${i}) {\n`;
+					code += `if(_errNext${i}) _middlewareErrors.add(_errNext${i});\n`;
+					code += `_nextCallback${i}(_errNext${i}, _resultNext${i});\n`;
+					code += "}));\n";
+				} else {
+					code += `_dispatch${i + 1}(_nextCallback${i});\n`;
+				}
+				code += "return;\n";
+				code += "}\n";
+			}
+			code += `return new Promise((function(_resolveNext${i}, _rejectNext${i}) {\n`;
+			code += `_dispatch${i + 1}((function(_errNext${i}, _resultNext${i}) {\n`;
+			code += `if(_errNext${i}) {\n`;
+			if (forwarding) code += `_middlewareErrors.add(_errNext${i});\n`;
+			code += `_rejectNext${i}(_errNext${i});\n`;
+			code += `} else _resolveNext${i}(_resultNext${i});\n`;
+			code += "}));\n";
+			code += "}));\n";
+			code += "});\n";
+			code += this.callTap(i, {
+				onError: err => `_middlewareCallback${i}(${err});\n`,
+				onResult: result => {
+					if (tap.type !== "sync") {
+						return `_middlewareCallback${i}(null, ${result});\n`;
+					}
+					let code = "";
+					code += `if(${result} && typeof ${result}.then === "function") {\n`;
+					code += `${result}.then((function(_value${i}) {\n`;
+					code += `_middlewareCallback${i}(null, _value${i});\n`;
+					code += `}), (function(_err${i}) {\n`;
+					code += `_middlewareCallback${i}(_err${i});\n`;
+					code += "}));\n";
+					code += "} else {\n";
+					code += `_middlewareCallback${i}(null, ${result});\n`;
+					code += "}\n";
+					return code;
+				},
+				onSkip: () => `_dispatch${i + 1}(_middlewareCallback${i});\n`,
+				extraArgs: `_middlewareNext${i}`,
+				isForwardedError: forwarding
+					? err => `_middlewareErrors.has(${err})`
+					: undefined
+			});
+			code += "}\n";
+		}
+		code += `function _dispatch${count}(_middlewareCallback${count}) {\n`;
+		code += `_middlewareCallback${count}(null);\n`;
+		code += "}\n";
+		code += "_dispatch0((function(_middlewareError, _middlewareResult) {\n";
+		code += "if(_middlewareError) {\n";
+		code += onError("_middlewareError");
+		code += "} else {\n";
+		code += onResult("_middlewareResult");
+		code += "}\n";
+		code += "}));\n";
+		return code;
+	}
+}
+
+class AsyncMiddlewareHookInterpreter extends HookInterpreter {
+	content({ onError, onResult }) {
+		const count = this.options.taps.length;
+		const forwarded = reportsErrors(this) ? new Set() : undefined;
+		const dispatch = (i, callback) => {
+			if (i === count) return callback(null);
+			const tap = this.options.taps[i];
+			let nextCalled = false;
+			const markCalled = () => {
+				if (nextCalled) throw new Error("next() called multiple times");
+				nextCalled = true;
+			};
+			const dispatchNext = nextCallback =>
+				dispatch(i + 1, (err, result) => {
+					if (err && forwarded !== undefined) forwarded.add(err);
+					nextCallback(err, result);
+				});
+			const next = nextCallback => {
+				markCalled();
+				if (tap.type === "async" && typeof nextCallback === "function") {
+					dispatchNext(nextCallback);
+					return;
+				}
+				return new Promise((resolve, reject) => {
+					dispatchNext((err, result) => {
+						if (err) reject(err);
+						else resolve(result);
+					});
+				});
+			};
+			this.callTap(i, {
+				onError: err => callback(err),
+				onResult: result => {
+					if (
+						tap.type === "sync" &&
+						result &&
+						typeof result.then === "function"
+					) {
+						result.then(value => callback(null, value), err => callback(err));
+					} else {
+						callback(null, result);
+					}
+				},
+				onSkip: () => dispatch(i + 1, callback),
+				extraArgs: [next],
+				isForwardedError: forwarded && (err => forwarded.has(err))
+			});
+		};
+		dispatch(0, (err, result) => {
+			if (err) {
+				onError(err);
+			} else {
+				onResult(result);
+			}
+		});
+	}
+}
+
+const factory = new AsyncMiddlewareHookCodeFactory();
+const interpreter = new AsyncMiddlewareHookInterpreter();
+
+const COMPILE = function(options) {
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
+};
+
+function AsyncMiddlewareHook(args = [], name = undefined, options = undefined) {
+	const hook = new Hook(args, name, options);
+	hook.constructor = AsyncMiddlewareHook;
+	hook._validateTypeOptions([]);
+	hook.compile = COMPILE;
+	hook._call = undefined;
+	hook.call = undefined;
+	return hook;
+}
+
+AsyncMiddlewareHook.prototype = null;
+
+module.exports = AsyncMiddlewareHook;
@@ -6,6 +6,7 @@
 
 const Hook = require("./Hook");
 const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
 
 class AsyncParallelBailHookCodeFactory extends HookCodeFactory {
 	content({ onError, onResult, onDone }) {
@@ -15,7 +16,11 @@ class AsyncParallelBailHookCodeFactory extends HookCodeFactory {
 		code += "for(var i = 0; i < _results.length; i++) {\n";
 		code += "var item = _results[i];\n";
 		code += "if(item === undefined) return false;\n";
-		code += "if(item.result !== undefined) {\n";
+		if (this.options.bail) {
+			code += "if(item.bail) {\n";
+		} else {
+			code += "if(item.result !== undefined) {\n";
+		}
 		code += onResult("item.result");
 		code += "return true;\n";
 		code += "}\n";
@@ -39,8 +44,14 @@ class AsyncParallelBailHookCodeFactory extends HookCodeFactory {
 			},
 			onResult: (i, result, done, doneBreak) => {
 				let code = "";
-				code += `if(${i} < _results.length && (${result} !== undefined && (_results.length = ${i +
-					1}), (_results[${i}] = { result: ${result} }), _checkDone())) {\n`;
+				if (this.options.bail) {
+					code += `var _bail${i} = ${this.shouldBail(result)};\n`;
+					code += `if(${i} < _results.length && (_bail${i} && (_results.length = ${i +
+						1}), (_results[${i}] = { result: ${result}, bail: _bail${i} }), _checkDone())) {\n`;
+				} else {
+					code += `if(${i} < _results.length && (${result} !== undefined && (_results.length = ${i +
+						1}), (_results[${i}] = { result: ${result} }), _checkDone())) {\n`;
+				}
 				code += doneBreak(true);
 				code += "} else {\n";
 				code += done();
@@ -58,23 +69,91 @@ class AsyncParallelBailHookCodeFactory extends HookCodeFactory {
 				if (i > 0) code += "}\n";
 				return code;
 			},
-			onDone
+			onDone: this.options.defaultResult
+				? () => onResult(this.defaultResult())
+				: onDone
 		});
 		return code;
 	}
 }
 
+class AsyncParallelBailHookInterpreter extends HookInterpreter {
+	content({ onError, onResult, onDone }) {
+		const results = new Array(this.options.taps.length);
+		const checkDone = () => {
+			for (let i = 0; i < results.length; i++) {
+				const item = results[i];
+				if (item === undefined) return false;
+				if (item.bail) {
+					onResult(item.result);
+					return true;
+				}
+				if (item.error) {
+					onError(item.error);
+					return true;
+				}
+			}
+			return false;
+		};
+		return this.callTapsParallel({
+			onError: (i, err, done, doneBreak) => {
+				if (i >= results.length) return done();
+				results.length = i + 1;
+				results[i] = { error: err };
+				if (checkDone()) {
+					doneBreak(true);
+				} else {
+					done();
+				}
+			},
+			onResult: (i, result, done, doneBreak) => {
+				if (i >= results.length) return done();
+				const bail = this.shouldBail(result);
+				if (bail) results.length = i + 1;
+				results[i] = { result, bail };
+				if (checkDone()) {
+					doneBreak(true);
+				} else {
+					done();
+				}
+			},
+			onTap: (i, run, done, doneBreak) => {
+				if (i >= results.length) {
+					done();
+				} else {
+					run();
+				}
+			},
+			onDone: this.options.defaultResult
+				? () => onResult(this.defaultResult())
+				: onDone
+		});
+	}
+}
+
 const factory = new AsyncParallelBailHookCodeFactory();
+const interpreter = new AsyncParallelBailHookInterpreter();
 
 const COMPILE = function(options) {
-	factory.setup(this, options);
-	return factory.create(options);
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
+};
+
+const WITH_CONCURRENCY = function(concurrency) {
+	return this._withConcurrency(concurrency);
 };
 
-function AsyncParallelBailHook(args = [], name = undefined) {
-	const hook = new Hook(args, name);
+function AsyncParallelBailHook(
+	args = [],
+	name = undefined,
+	options = undefined
+) {
+	const hook = new Hook(args, name, options);
 	hook.constructor = AsyncParallelBailHook;
+	hook._validateTypeOptions(["concurrency", "bail", "defaultResult"]);
 	hook.compile = COMPILE;
+	hook.withConcurrency = WITH_CONCURRENCY;
 	hook._call = undefined;
 	hook.call = undefined;
 	return hook;
@@ -0,0 +1,71 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const Hook = require("./Hook");
+const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
+
+class AsyncParallelCollectHookCodeFactory extends HookCodeFactory {
+	content({ onError, onResult }) {
+		let code = "";
+		code += `var _results = new Array(${this.options.taps.length});\n`;
+		code += this.callTapsParallel({
+			onError: (i, err, done, doneBreak) => onError(err) + doneBreak(true),
+			onResult: (i, result, done) => this.collectResult(i, result) + done(),
+			onDone: () => onResult("_results")
+		});
+		return code;
+	}
+}
+
+class AsyncParallelCollectHookInterpreter extends HookInterpreter {
+	content({ onError, onResult }) {
+		const results = new Array(this.options.taps.length);
+		return this.callTapsParallel({
+			onError: (i, err, done, doneBreak) => {
+				onError(err);
+				doneBreak(true);
+			},
+			onResult: (i, result, done) => {
+				this.collectResult(results, i, result);
+				done();
+			},
+			onDone: () => onResult(results)
+		});
+	}
+}
+
+const factory = new AsyncParallelCollectHookCodeFactory();
+const interpreter = new AsyncParallelCollectHookInterpreter();
+
+const COMPILE = function(options) {
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
+};
+
+const WITH_CONCURRENCY = function(concurrency) {
+	return this._withConcurrency(concurrency);
+};
+
+function AsyncParallelCollectHook(
+	args = [],
+	name = undefined,
+	options = undefined
+) {
+	const hook = new Hook(args, name, options);
+	hook.constructor = AsyncParallelCollectHook;
+	hook._validateTypeOptions(["concurrency", "withNames"]);
+	hook.compile = COMPILE;
+	hook.withConcurrency = WITH_CONCURRENCY;
+	hook._call = undefined;
+	hook.call = undefined;
+	return hook;
+}
+
+AsyncParallelCollectHook.prototype = null;
+
+module.exports = AsyncParallelCollectHook;
@@ -6,6 +6,7 @@
 
 const Hook = require("./Hook");
 const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
 
 class AsyncParallelHookCodeFactory extends HookCodeFactory {
 	content({ onError, onDone }) {
@@ -16,17 +17,37 @@ class AsyncParallelHookCodeFactory extends HookCodeFactory {
 	}
 }
 
+class AsyncParallelHookInterpreter extends HookInterpreter {
+	content({ onError, onDone }) {
+		return this.callTapsParallel({
+			onError: (i, err, done, doneBreak) => {
+				onError(err);
+				doneBreak(true);
+			},
+			onDone
+		});
+	}
+}
+
 const factory = new AsyncParallelHookCodeFactory();
+const interpreter = new AsyncParallelHookInterpreter();
 
 const COMPILE = function(options) {
-	factory.setup(this, options);
-	return factory.create(options);
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
+};
+
+const WITH_CONCURRENCY = function(concurrency) {
+	return this._withConcurrency(concurrency);
 };
 
-function AsyncParallelHook(args = [], name = undefined) {
-	const hook = new Hook(args, name);
+function AsyncParallelHook(args = [], name = undefined, options = undefined) {
+	const hook = new Hook(args, name, options);
 	hook.constructor = AsyncParallelHook;
+	hook._validateTypeOptions(["latch", "concurrency"]);
 	hook.compile = COMPILE;
+	hook.withConcurrency = WITH_CONCURRENCY;
 	hook._call = undefined;
 	hook.call = undefined;
 	return hook;
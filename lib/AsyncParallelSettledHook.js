@@ -0,0 +1,93 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const Hook = require("./Hook");
+const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
+
+class AsyncParallelSettledHookCodeFactory extends HookCodeFactory {
+	content({ onResult }) {
+		let code = "";
+		code += `var _results = new Array(${this.options.taps.length});\n`;
+		code += this.callTapsParallel({
+			onError: (i, err, done) => {
+				let code = "";
+				code += `_results[${i}] = { name: ${JSON.stringify(
+					this.options.taps[i].name
+				)}, status: "rejected", reason: ${err} };\n`;
+				code += done();
+				return code;
+			},
+			onResult: (i, result, done) => {
+				let code = "";
+				code += `_results[${i}] = { name: ${JSON.stringify(
+					this.options.taps[i].name
+				)}, status: "fulfilled", value: ${result} };\n`;
+				code += done();
+				return code;
+			},
+			onDone: () => onResult("_results")
+		});
+		return code;
+	}
+}
+
+class AsyncParallelSettledHookInterpreter extends HookInterpreter {
+	content({ onResult }) {
+		const results = new Array(this.options.taps.length);
+		return this.callTapsParallel({
+			onError: (i, err, done) => {
+				results[i] = {
+					name: this.options.taps[i].name,
+					status: "rejected",
+					reason: err
+				};
+				done();
+			},
+			onResult: (i, result, done) => {
+				results[i] = {
+					name: this.options.taps[i].name,
+					status: "fulfilled",
+					value: result
+				};
+				done();
+			},
+			onDone: () => onResult(results)
+		});
+	}
+}
+
+const factory = new AsyncParallelSettledHookCodeFactory();
+const interpreter = new AsyncParallelSettledHookInterpreter();
+
+const COMPILE = function(options) {
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
+};
+
+const WITH_CONCURRENCY = function(concurrency) {
+	return this._withConcurrency(concurrency);
+};
+
+function AsyncParallelSettledHook(
+	args = [],
+	name = undefined,
+	options = undefined
+) {
+	const hook = new Hook(args, name, options);
+	hook.constructor = AsyncParallelSettledHook;
+	hook._validateTypeOptions(["concurrency"]);
+	hook.compile = COMPILE;
+	hook.withConcurrency = WITH_CONCURRENCY;
+	hook._call = undefined;
+	hook.call = undefined;
+	return hook;
+}
+
+AsyncParallelSettledHook.prototype = null;
+
+module.exports = AsyncParallelSettledHook;
@@ -0,0 +1,220 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const Hook = require("./Hook");
+const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
+const AbortError = require("./AbortError");
+
+// taps with `signal: true` receive a signal which is aborted when the race
+// is decided, so that the losing taps can stop their work
+const needRaceSignal = taps => taps.some(tap => tap.signal);
+
+/**
+ * The part of AbortController used for races, for environments
+ * without a global AbortController (Node.js < 15).
+ */
+class RaceController {
+	constructor() {
+		const listeners = [];
+		this._listeners = listeners;
+		this.signal = {
+			aborted: false,
+			reason: undefined,
+			addEventListener(type, listener) {
+				if (type === "abort") listeners.push(listener);
+			},
+			removeEventListener(type, listener) {
+				const index = listeners.indexOf(listener);
+				if (type === "abort" && index >= 0) listeners.splice(index, 1);
+			}
+		};
+	}
+
+	abort() {
+		if (this.signal.aborted) return;
+		this.signal.aborted = true;
+		this.signal.reason = new AbortError();
+		for (const listener of this._listeners.splice(0)) listener();
+	}
+}
+
+const createRaceController = () =>
+	typeof AbortController === "function"
+		? new AbortController()
+		: new RaceController();
+
+class AsyncRaceHookCodeFactory extends HookCodeFactory {
+	content({ onError, onResult, onDone }) {
+		const raceSignal = needRaceSignal(this.options.taps);
+		const failFast = this.options.failFast;
+		const endRace = abort => {
+			let code = "";
+			if (raceSignal) {
+				if (this.options.signal) {
+					code += '_signal.removeEventListener("abort", _abortRace);\n';
+				}
+				if (abort) code += "_raceController.abort();\n";
+			}
+			return code;
+		};
+		let code = "";
+		if (raceSignal) {
+			code += "var _raceController = _hook._createRaceController();\n";
+			if (this.options.signal) {
+				code += "var _abortRace = (function() {\n";
+				code += "_raceController.abort();\n";
+				code += "});\n";
+				code += '_signal.addEventListener("abort", _abortRace);\n';
+			}
+		}
+		if (!failFast) {
+			code += "var _hasRaceError = false;\n";
+			code += "var _raceError;\n";
+		}
+		code += this.callTapsParallel({
+			onError: (i, err, done, doneBreak) => {
+				let code = "";
+				if (failFast) {
+					code += doneBreak(true);
+					code += endRace(true);
+					code += onError(err);
+				} else {
+					code += "if(!_hasRaceError) {\n";
+					code += "_hasRaceError = true;\n";
+					code += `_raceError = ${err};\n`;
+					code += "}\n";
+					code += done();
+				}
+				return code;
+			},
+			onResult: (i, result, done, doneBreak) => {
+				let code = "";
+				code += `if(${result} !== undefined) {\n`;
+				code += doneBreak(true);
+				code += endRace(true);
+				code += onResult(result);
+				code += "} else {\n";
+				code += done();
+				code += "}\n";
+				return code;
+			},
+			onDone: () => {
+				let code = endRace(false);
+				if (failFast) {
+					code += onDone();
+				} else {
+					code += "if(_hasRaceError) {\n";
+					code += onError("_raceError");
+					code += "} else {\n";
+					code += onDone();
+					code += "}\n";
+				}
+				return code;
+			}
+		});
+		return code;
+	}
+
+	needHook() {
+		return super.needHook() || needRaceSignal(this.options.taps);
+	}
+
+	tapSignal() {
+		return "_raceController.signal";
+	}
+}
+
+class AsyncRaceHookInterpreter extends HookInterpreter {
+	content({ onError, onResult, onDone }) {
+		const failFast = this.options.failFast;
+		const signal = this._signal;
+		let raceController;
+		let abortRace;
+		if (needRaceSignal(this.options.taps)) {
+			raceController = createRaceController();
+			this._raceController = raceController;
+			if (this.options.signal) {
+				abortRace = () => raceController.abort();
+				signal.addEventListener("abort", abortRace);
+			}
+		}
+		const endRace = abort => {
+			if (raceController === undefined) return;
+			if (abortRace !== undefined) {
+				signal.removeEventListener("abort", abortRace);
+			}
+			if (abort) raceController.abort();
+		};
+		let hasRaceError = false;
+		let raceError;
+		return this.callTapsParallel({
+			onError: (i, err, done, doneBreak) => {
+				if (failFast) {
+					doneBreak(true);
+					endRace(true);
+					onError(err);
+				} else {
+					if (!hasRaceError) {
+						hasRaceError = true;
+						raceError = err;
+					}
+					done();
+				}
+			},
+			onResult: (i, result, done, doneBreak) => {
+				if (result !== undefined) {
+					doneBreak(true);
+					endRace(true);
+					onResult(result);
+				} else {
+					done();
+				}
+			},
+			onDone: () => {
+				endRace(false);
+				if (hasRaceError) {
+					onError(raceError);
+				} else {
+					onDone();
+				}
+			}
+		});
+	}
+
+	tapSignal() {
+		return this._raceController.signal;
+	}
+}
+
+const factory = new AsyncRaceHookCodeFactory();
+const interpreter = new AsyncRaceHookInterpreter();
+
+const COMPILE = function(options) {
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
+};
+
+const WITH_CONCURRENCY = function(concurrency) {
+	return this._withConcurrency(concurrency);
+};
+
+function AsyncRaceHook(args = [], name = undefined, options = undefined) {
+	const hook = new Hook(args, name, options);
+	hook.constructor = AsyncRaceHook;
+	hook._validateTypeOptions(["concurrency", "failFast"]);
+	hook.compile = COMPILE;
+	hook.withConcurrency = WITH_CONCURRENCY;
+	hook._createRaceController = createRaceController;
+	hook._call = undefined;
+	hook.call = undefined;
+	return hook;
+}
+
+AsyncRaceHook.prototype = null;
+
+module.exports = AsyncRaceHook;
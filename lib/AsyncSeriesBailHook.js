@@ -6,31 +6,58 @@
 
 const Hook = require("./Hook");
 const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
 
 class AsyncSeriesBailHookCodeFactory extends HookCodeFactory {
 	content({ onError, onResult, resultReturns, onDone }) {
 		return this.callTapsSeries({
 			onError: (i, err, next, doneBreak) => onError(err) + doneBreak(true),
 			onResult: (i, result, next) =>
-				`if(${result} !== undefined) {\n${onResult(
+				`if(${this.shouldBail(result)}) {\n${onResult(
 					result
 				)}\n} else {\n${next()}}\n`,
 			resultReturns,
-			onDone
+			onDone: this.options.defaultResult
+				? () => onResult(this.defaultResult())
+				: onDone
+		});
+	}
+}
+
+class AsyncSeriesBailHookInterpreter extends HookInterpreter {
+	content({ onError, onResult, onDone }) {
+		return this.callTapsSeries({
+			onError: (i, err, next, doneBreak) => {
+				onError(err);
+				doneBreak(true);
+			},
+			onResult: (i, result, next) => {
+				if (this.shouldBail(result)) {
+					onResult(result);
+				} else {
+					next();
+				}
+			},
+			onDone: this.options.defaultResult
+				? () => onResult(this.defaultResult())
+				: onDone
 		});
 	}
 }
 
 const factory = new AsyncSeriesBailHookCodeFactory();
+const interpreter = new AsyncSeriesBailHookInterpreter();
 
 const COMPILE = function(options) {
-	factory.setup(this, options);
-	return factory.create(options);
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
 };
 
-function AsyncSeriesBailHook(args = [], name = undefined) {
-	const hook = new Hook(args, name);
+function AsyncSeriesBailHook(args = [], name = undefined, options = undefined) {
+	const hook = new Hook(args, name, options);
 	hook.constructor = AsyncSeriesBailHook;
+	hook._validateTypeOptions(["bail", "defaultResult"]);
 	hook.compile = COMPILE;
 	hook._call = undefined;
 	hook.call = undefined;
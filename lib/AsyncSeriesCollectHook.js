@@ -0,0 +1,66 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const Hook = require("./Hook");
+const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
+
+class AsyncSeriesCollectHookCodeFactory extends HookCodeFactory {
+	content({ onError, onResult }) {
+		let code = "";
+		code += `var _results = new Array(${this.options.taps.length});\n`;
+		code += this.callTapsSeries({
+			onError: (i, err, next, doneBreak) => onError(err) + doneBreak(true),
+			onResult: (i, result, next) => this.collectResult(i, result) + next(),
+			onDone: () => onResult("_results")
+		});
+		return code;
+	}
+}
+
+class AsyncSeriesCollectHookInterpreter extends HookInterpreter {
+	content({ onError, onResult }) {
+		const results = new Array(this.options.taps.length);
+		return this.callTapsSeries({
+			onError: (i, err, next, doneBreak) => {
+				onError(err);
+				doneBreak(true);
+			},
+			onResult: (i, result, next) => {
+				this.collectResult(results, i, result);
+				next();
+			},
+			onDone: () => onResult(results)
+		});
+	}
+}
+
+const factory = new AsyncSeriesCollectHookCodeFactory();
+const interpreter = new AsyncSeriesCollectHookInterpreter();
+
+const COMPILE = function(options) {
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
+};
+
+function AsyncSeriesCollectHook(
+	args = [],
+	name = undefined,
+	options = undefined
+) {
+	const hook = new Hook(args, name, options);
+	hook.constructor = AsyncSeriesCollectHook;
+	hook._validateTypeOptions(["withNames"]);
+	hook.compile = COMPILE;
+	hook._call = undefined;
+	hook.call = undefined;
+	return hook;
+}
+
+AsyncSeriesCollectHook.prototype = null;
+
+module.exports = AsyncSeriesCollectHook;
@@ -6,6 +6,7 @@
 
 const Hook = require("./Hook");
 const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
 
 class AsyncSeriesHookCodeFactory extends HookCodeFactory {
 	content({ onError, onDone }) {
@@ -16,16 +17,31 @@ class AsyncSeriesHookCodeFactory extends HookCodeFactory {
 	}
 }
 
+class AsyncSeriesHookInterpreter extends HookInterpreter {
+	content({ onError, onDone }) {
+		return this.callTapsSeries({
+			onError: (i, err, next, doneBreak) => {
+				onError(err);
+				doneBreak(true);
+			},
+			onDone
+		});
+	}
+}
+
 const factory = new AsyncSeriesHookCodeFactory();
+const interpreter = new AsyncSeriesHookInterpreter();
 
 const COMPILE = function(options) {
-	factory.setup(this, options);
-	return factory.create(options);
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
 };
 
-function AsyncSeriesHook(args = [], name = undefined) {
-	const hook = new Hook(args, name);
+function AsyncSeriesHook(args = [], name = undefined, options = undefined) {
+	const hook = new Hook(args, name, options);
 	hook.constructor = AsyncSeriesHook;
+	hook._validateTypeOptions(["latch"]);
 	hook.compile = COMPILE;
 	hook._call = undefined;
 	hook.call = undefined;
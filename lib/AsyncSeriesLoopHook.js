@@ -6,6 +6,7 @@
 
 const Hook = require("./Hook");
 const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
 
 class AsyncSeriesLoopHookCodeFactory extends HookCodeFactory {
 	content({ onError, onDone }) {
@@ -16,16 +17,31 @@ class AsyncSeriesLoopHookCodeFactory extends HookCodeFactory {
 	}
 }
 
+class AsyncSeriesLoopHookInterpreter extends HookInterpreter {
+	content({ onError, onDone }) {
+		return this.callTapsLooping({
+			onError: (i, err, next, doneBreak) => {
+				onError(err);
+				doneBreak(true);
+			},
+			onDone
+		});
+	}
+}
+
 const factory = new AsyncSeriesLoopHookCodeFactory();
+const interpreter = new AsyncSeriesLoopHookInterpreter();
 
 const COMPILE = function(options) {
-	factory.setup(this, options);
-	return factory.create(options);
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
 };
 
-function AsyncSeriesLoopHook(args = [], name = undefined) {
-	const hook = new Hook(args, name);
+function AsyncSeriesLoopHook(args = [], name = undefined, options = undefined) {
+	const hook = new Hook(args, name, options);
 	hook.constructor = AsyncSeriesLoopHook;
+	hook._validateTypeOptions(["maxIterations"]);
 	hook.compile = COMPILE;
 	hook._call = undefined;
 	hook.call = undefined;
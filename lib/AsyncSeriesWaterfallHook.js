@@ -6,36 +6,53 @@
 
 const Hook = require("./Hook");
 const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
 
 class AsyncSeriesWaterfallHookCodeFactory extends HookCodeFactory {
 	content({ onError, onResult, onDone }) {
 		return this.callTapsSeries({
 			onError: (i, err, next, doneBreak) => onError(err) + doneBreak(true),
+			onResult: (i, result, next) => this.waterfallUpdate(result) + next(),
+			onDone: () => onResult(this.waterfallResult())
+		});
+	}
+}
+
+class AsyncSeriesWaterfallHookInterpreter extends HookInterpreter {
+	content({ onError, onResult }) {
+		return this.callTapsSeries({
+			onError: (i, err, next, doneBreak) => {
+				onError(err);
+				doneBreak(true);
+			},
 			onResult: (i, result, next) => {
-				let code = "";
-				code += `if(${result} !== undefined) {\n`;
-				code += `${this._args[0]} = ${result};\n`;
-				code += `}\n`;
-				code += next();
-				return code;
+				this.waterfallUpdate(result);
+				next();
 			},
-			onDone: () => onResult(this._args[0])
+			onDone: () => onResult(this.waterfallResult())
 		});
 	}
 }
 
 const factory = new AsyncSeriesWaterfallHookCodeFactory();
+const interpreter = new AsyncSeriesWaterfallHookInterpreter();
 
 const COMPILE = function(options) {
-	factory.setup(this, options);
-	return factory.create(options);
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
 };
 
-function AsyncSeriesWaterfallHook(args = [], name = undefined) {
+function AsyncSeriesWaterfallHook(
+	args = [],
+	name = undefined,
+	options = undefined
+) {
 	if (args.length < 1)
 		throw new Error("Waterfall hooks must have at least one argument");
-	const hook = new Hook(args, name);
+	const hook = new Hook(args, name, options);
 	hook.constructor = AsyncSeriesWaterfallHook;
+	hook._validateTypeOptions(["waterfall"]);
 	hook.compile = COMPILE;
 	hook._call = undefined;
 	hook.call = undefined;
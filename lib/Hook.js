@@ -5,27 +5,283 @@
 "use strict";
 
 const util = require("util");
+const HookError = require("./HookError");
+const AbortError = require("./AbortError");
+const TimeoutError = require("./TimeoutError");
+const { validateSealMode, checkSealed } = require("./seal");
 
 const deprecateContext = util.deprecate(() => {},
 "Hook.context is deprecated and will be removed");
 
+// maps taps replaced by a register interceptor to the originally inserted tap
+const originalTaps = new WeakMap();
+
+const getOriginalTap = tap => originalTaps.get(tap) || tap;
+// maps taps returned by a register interceptor to that interceptor and
+// the tap it was called with, so that the interceptor can be removed again
+const registeredTaps = new WeakMap();
+
+// the tap as it was before register interceptors replaced it
+const getUnregisteredTap = tap => {
+	let registration;
+	while ((registration = registeredTaps.get(tap)) !== undefined) {
+		tap = registration.previous;
+	}
+	return tap;
+};
+// once taps which have been called already, a concurrent call may
+// still see them until the hook is recompiled
+const calledOnceTaps = new WeakSet();
+
+const toOnceOptions = options =>
+	typeof options === "string"
+		? { name: options.trim(), once: true }
+		: typeof options === "object" && options !== null
+		? Object.assign({}, options, { once: true })
+		: options;
+
+const BACKENDS = new Set(["codegen", "interpreter"]);
+
+const validateBackend = backend => {
+	if (!BACKENDS.has(backend)) {
+		throw new Error(`Invalid hook backend "${backend}"`);
+	}
+};
+
+let defaultBackend = "codegen";
+
+const ERROR_MODES = new Set(["wrap", "annotate"]);
+const LATCH_MODES = new Set(["first", "last"]);
+
+// the longest delay supported by setTimeout
+const MAX_DURATION = 2147483647;
+
+// `Infinity` disables the timer, e.g. for a tap of a hook with a timeout
+const validateDuration = (value, name) => {
+	if (value === undefined || value === Infinity) return;
+	if (!(typeof value === "number" && value > 0 && value <= MAX_DURATION)) {
+		throw new Error(`Invalid ${name} option "${value}"`);
+	}
+};
+
+const validateConcurrency = concurrency => {
+	if (
+		concurrency !== Infinity &&
+		!(Number.isInteger(concurrency) && concurrency > 0)
+	) {
+		throw new Error(`Invalid concurrency "${concurrency}"`);
+	}
+};
+
+const validateWaterfall = (waterfall, args) => {
+	if (waterfall === true) return;
+	if (!Array.isArray(waterfall) || waterfall.length === 0) {
+		throw new Error(
+			"Invalid waterfall option, expected true or an array of argument names"
+		);
+	}
+	for (const name of waterfall) {
+		if (!args.includes(name)) {
+			throw new Error(
+				`Invalid waterfall option, "${name}" is not an argument of the hook`
+			);
+		}
+	}
+};
+
+// options which only some hook types support, with their validation
+const TYPE_OPTIONS = {
+	latch: latch => {
+		if (!LATCH_MODES.has(latch)) {
+			throw new Error(`Invalid latch option "${latch}"`);
+		}
+	},
+	concurrency: validateConcurrency,
+	withNames: () => {},
+	failFast: () => {},
+	bail: bail => {
+		if (typeof bail !== "function") {
+			throw new Error("Invalid bail option, expected a function");
+		}
+	},
+	defaultResult: () => {},
+	maxIterations: maxIterations => {
+		if (!(Number.isInteger(maxIterations) && maxIterations > 0)) {
+			throw new Error(`Invalid maxIterations option "${maxIterations}"`);
+		}
+	},
+	waterfall: validateWaterfall
+};
+
+const toNames = value =>
+	value === undefined ? [] : Array.isArray(value) ? value : [value];
+
+// inserts a tap by its stage and before option
+const insertTap = (taps, item) => {
+	let before;
+	if (typeof item.before === "string") {
+		before = new Set([item.before]);
+	} else if (Array.isArray(item.before)) {
+		before = new Set(item.before);
+	}
+	let stage = 0;
+	if (typeof item.stage === "number") {
+		stage = item.stage;
+	}
+	let i = taps.length;
+	while (i > 0) {
+		i--;
+		const x = taps[i];
+		taps[i + 1] = x;
+		const xStage = x.stage || 0;
+		if (before) {
+			if (before.has(x.name)) {
+				before.delete(x.name);
+				continue;
+			}
+			if (before.size > 0) {
+				continue;
+			}
+		}
+		if (xStage > stage) {
+			continue;
+		}
+		i++;
+		break;
+	}
+	taps[i] = item;
+};
+
+/**
+ * Composes around functions `(args, next) => result` from the outermost to
+ * the innermost. `next` may be called with new arguments.
+ * @param {Function[]} arounds the around functions
+ * @returns {function(Function): Function} wraps the inner function
+ */
+const composeAround = arounds => inner =>
+	arounds.reduceRight(
+		(next, around) =>
+			function() {
+				const args = Array.prototype.slice.call(arguments);
+				return around(args, newArgs =>
+					next.apply(undefined, newArgs === undefined ? args : newArgs)
+				);
+			},
+		function() {
+			return inner(Array.prototype.slice.call(arguments));
+		}
+	);
+
+// calls fn with the arguments and returns a promise for its result
+const toPromise = (fn, args) => new Promise(resolve => resolve(fn(...args)));
+
+const nextTick =
+	typeof process !== "undefined" && typeof process.nextTick === "function"
+		? fn => process.nextTick(fn)
+		: fn => setTimeout(fn, 0);
+
+// reports the outcome of a promise to a callback outside of the promise
+// chain, so that errors thrown by the callback aren't swallowed
+const settleCallback = (promise, callback) => {
+	promise.then(
+		result => nextTick(() => callback(null, result)),
+		err => nextTick(() => callback(err))
+	);
+};
+
+const TAP_METHODS = {
+	sync: "tap",
+	async: "tapAsync",
+	promise: "tapPromise"
+};
+
+// the methods of compiled calls by type and by the argument passed before
+// the arguments of the hook: none, an AbortSignal or a concurrency limit
+const CALL_METHODS = {
+	sync: { none: "call" },
+	async: {
+		none: "callAsync",
+		signal: "_callAsyncSignal",
+		concurrency: "_callAsyncConcurrency"
+	},
+	promise: {
+		none: "promise",
+		signal: "_promiseSignal",
+		concurrency: "_promiseConcurrency"
+	}
+};
+
 const CALL_DELEGATE = function(...args) {
 	this.call = this._createCall("sync");
 	return this.call(...args);
 };
+// errors of creating an async call (e.g. a missing required tap) are
+// reported like errors of the call
 const CALL_ASYNC_DELEGATE = function(...args) {
-	this.callAsync = this._createCall("async");
+	try {
+		this.callAsync = this._createCall("async");
+	} catch (err) {
+		return args[this._args.length](err);
+	}
 	return this.callAsync(...args);
 };
 const PROMISE_DELEGATE = function(...args) {
-	this.promise = this._createCall("promise");
+	try {
+		this.promise = this._createCall("promise");
+	} catch (err) {
+		return Promise.reject(err);
+	}
 	return this.promise(...args);
 };
+const CALL_ASYNC_SIGNAL_DELEGATE = function(...args) {
+	try {
+		this._callAsyncSignal = this._createCall("async", "signal");
+	} catch (err) {
+		return args[this._args.length + 1](err);
+	}
+	return this._callAsyncSignal(...args);
+};
+const PROMISE_SIGNAL_DELEGATE = function(...args) {
+	try {
+		this._promiseSignal = this._createCall("promise", "signal");
+	} catch (err) {
+		return Promise.reject(err);
+	}
+	return this._promiseSignal(...args);
+};
+const CALL_ASYNC_CONCURRENCY_DELEGATE = function(...args) {
+	try {
+		this._callAsyncConcurrency = this._createCall("async", "concurrency");
+	} catch (err) {
+		return args[this._args.length + 1](err);
+	}
+	return this._callAsyncConcurrency(...args);
+};
+const PROMISE_CONCURRENCY_DELEGATE = function(...args) {
+	try {
+		this._promiseConcurrency = this._createCall("promise", "concurrency");
+	} catch (err) {
+		return Promise.reject(err);
+	}
+	return this._promiseConcurrency(...args);
+};
 
 class Hook {
-	constructor(args = [], name = undefined) {
+	/**
+	 * @param {string[]=} args argument names
+	 * @param {string=} name name of the hook
+	 * @param {object=} options hook options
+	 */
+	constructor(args = [], name = undefined, options = {}) {
+		if (options.backend !== undefined) validateBackend(options.backend);
+		if (options.errors !== undefined && !ERROR_MODES.has(options.errors)) {
+			throw new Error(`Invalid errors option "${options.errors}"`);
+		}
+		validateDuration(options.timeout, "timeout");
+		validateDuration(options.warnAfter, "warnAfter");
 		this._args = args;
 		this.name = name;
+		this._options = options;
 		this.taps = [];
 		this.interceptors = [];
 		this._call = CALL_DELEGATE;
@@ -34,25 +290,364 @@ class Hook {
 		this.callAsync = CALL_ASYNC_DELEGATE;
 		this._promise = PROMISE_DELEGATE;
 		this.promise = PROMISE_DELEGATE;
+		this._callAsyncSignal = CALL_ASYNC_SIGNAL_DELEGATE;
+		this._promiseSignal = PROMISE_SIGNAL_DELEGATE;
+		this._callAsyncConcurrency = CALL_ASYNC_CONCURRENCY_DELEGATE;
+		this._promiseConcurrency = PROMISE_CONCURRENCY_DELEGATE;
 		this._x = undefined;
+		this._profiler = undefined;
+		this._activeTaps = undefined;
+		this._parent = undefined;
+		this._tapsVersion = 0;
+		this._latchedArgs = undefined;
+		this._sealed = undefined;
 
 		this.compile = this.compile;
 		this.tap = this.tap;
 		this.tapAsync = this.tapAsync;
 		this.tapPromise = this.tapPromise;
+		this.untap = this.untap;
 	}
 
 	compile(options) {
 		throw new Error("Abstract: should be overridden");
 	}
 
-	_createCall(type) {
-		return this.compile({
-			taps: this.taps,
+	/**
+	 * Validates the options which only some hook types support. Called by
+	 * the hook types with the options they support, others are rejected.
+	 * @param {string[]} supported the names of the supported options
+	 * @returns {void}
+	 */
+	_validateTypeOptions(supported) {
+		for (const option of Object.keys(TYPE_OPTIONS)) {
+			const value = this._options[option];
+			if (value === undefined) continue;
+			if (!supported.includes(option)) {
+				throw new Error(
+					`The ${option} option is not supported by ${this.constructor.name}`
+				);
+			}
+			TYPE_OPTIONS[option](value, this._args);
+		}
+	}
+
+	/**
+	 * @param {"sync" | "async" | "promise"} type the type of the call
+	 * @param {"none" | "signal" | "concurrency"} prefix the argument passed before the arguments of the hook
+	 * @returns {Function} the call
+	 */
+	_createCall(type, prefix = "none") {
+		const allTaps = this._collectTaps();
+		if (this._parent === undefined) this.taps = allTaps;
+		const taps = this._enabledTaps(allTaps);
+		this._activeTaps = taps;
+		return this._compileCall(taps, type, prefix);
+	}
+
+	/**
+	 * Compiles a call of the taps and wraps it with the `around` interceptors.
+	 * @param {Tap[]} taps the taps to call
+	 * @param {"sync" | "async" | "promise"} type the type of the call
+	 * @param {"none" | "signal" | "concurrency"} prefix the argument passed before the arguments of the hook
+	 * @returns {Function} the call
+	 */
+	_compileCall(taps, type, prefix) {
+		let call = this.compile({
+			taps,
 			interceptors: this.interceptors,
 			args: this._args,
-			type: type
+			type: type,
+			signal: prefix === "signal",
+			backend: this._options.backend || defaultBackend,
+			profile: this._profiler !== undefined,
+			errors: this._options.errors,
+			timeout: this._options.timeout,
+			warnAfter: this._options.warnAfter,
+			concurrency:
+				this._options.concurrency !== undefined || prefix === "concurrency",
+			callConcurrency: prefix === "concurrency",
+			withNames: this._options.withNames,
+			failFast: this._options.failFast,
+			bail: this._options.bail !== undefined,
+			defaultResult: this._options.defaultResult !== undefined,
+			maxIterations: this._options.maxIterations,
+			waterfall: this._options.waterfall,
+			activeTaps: taps !== this.taps,
+			latch: this._options.latch !== undefined
 		});
+		if (this.interceptors.some(interceptor => interceptor.aroundTap)) {
+			this._x = this._x.map((fn, i) => this._aroundTap(taps[i], fn));
+		}
+		if (this.interceptors.some(interceptor => interceptor.around)) {
+			call = this._aroundCall(call, type, prefix);
+		}
+		if (this._parent === undefined) return call;
+		return this._checkParentTaps(call, type, prefix);
+	}
+
+	/**
+	 * Compiled calls of a child hook recompile the child when the taps of
+	 * a parent hook have changed since the call was compiled.
+	 * @param {Function} call the compiled call
+	 * @param {"sync" | "async" | "promise"} type the type of the call
+	 * @param {"none" | "signal" | "concurrency"} prefix the argument passed before the arguments of the hook
+	 * @returns {Function} the checked call
+	 */
+	_checkParentTaps(call, type, prefix) {
+		const hook = this;
+		const version = this._parent._lineageVersion();
+		const method = CALL_METHODS[type][prefix];
+		return function() {
+			if (hook._parent._lineageVersion() !== version) {
+				hook._resetCompilation();
+				return hook[method].apply(this, arguments);
+			}
+			return call.apply(this, arguments);
+		};
+	}
+
+	/**
+	 * Wraps a compiled call with the `around` interceptors. Each of them gets
+	 * the arguments of the call and a continuation calling the inner
+	 * interceptors and finally the taps (returning a promise in async modes).
+	 * @param {Function} call the compiled call
+	 * @param {"sync" | "async" | "promise"} type the type of the call
+	 * @param {"none" | "signal" | "concurrency"} prefix the argument passed before the arguments of the hook
+	 * @returns {Function} the wrapped call
+	 */
+	_aroundCall(call, type, prefix) {
+		const hook = this;
+		const argsLength = this._args.length;
+		const offset = prefix === "none" ? 0 : 1;
+		const around = composeAround(
+			this.interceptors
+				.filter(interceptor => interceptor.around)
+				.map(interceptor => (args, next) => interceptor.around(args, next))
+		);
+		switch (type) {
+			case "sync":
+				return around(args => call.apply(hook, args));
+			case "async":
+				return function() {
+					const prefix = Array.prototype.slice.call(arguments, 0, offset);
+					const callback = arguments[offset + argsLength];
+					settleCallback(
+						toPromise(
+							around(
+								args =>
+									new Promise((resolve, reject) =>
+										call.call(hook, ...prefix, ...args, (err, result) => {
+											if (err) reject(err);
+											else resolve(result);
+										})
+									)
+							),
+							Array.prototype.slice.call(arguments, offset, offset + argsLength)
+						),
+						callback
+					);
+				};
+			case "promise":
+				return function() {
+					const prefix = Array.prototype.slice.call(arguments, 0, offset);
+					return toPromise(
+						around(args => call.call(hook, ...prefix, ...args)),
+						Array.prototype.slice.call(arguments, offset, offset + argsLength)
+					);
+				};
+		}
+	}
+
+	/**
+	 * Wraps a tap function with the `aroundTap` interceptors. The arguments
+	 * are the arguments of the tap function without the callback of async taps.
+	 * @param {Tap} tap the tap
+	 * @param {Function} fn the tap function
+	 * @returns {Function} the wrapped tap function
+	 */
+	_aroundTap(tap, fn) {
+		const around = composeAround(
+			this.interceptors
+				.filter(interceptor => interceptor.aroundTap)
+				.map(interceptor => (args, next) =>
+					interceptor.aroundTap(tap, args, next)
+				)
+		);
+		switch (tap.type) {
+			case "sync":
+				return around(args => fn(...args));
+			case "async": {
+				const inner = around(
+					args =>
+						new Promise((resolve, reject) =>
+							fn(...args, (err, result) => {
+								if (err) reject(err);
+								else resolve(result);
+							})
+						)
+				);
+				return (...args) => {
+					const callback = args.pop();
+					settleCallback(toPromise(inner, args), callback);
+				};
+			}
+			case "promise": {
+				const inner = around(args => fn(...args));
+				return (...args) => toPromise(inner, args);
+			}
+		}
+	}
+
+	_lineageVersion() {
+		if (this._parent === undefined) return this._tapsVersion;
+		return this._tapsVersion + this._parent._lineageVersion();
+	}
+
+	/**
+	 * Creates a hook of the same type which calls the taps of this hook
+	 * (also those added later) together with its own taps.
+	 * @param {string=} name name of the child hook
+	 * @returns {Hook} the child hook
+	 */
+	createChild(name = this.name) {
+		const child = new this.constructor(this._args, name, this._options);
+		child._parent = this;
+		return child;
+	}
+
+	/**
+	 * Creates a hook of the same type with copies of the taps and
+	 * interceptors of this hook.
+	 * @param {string=} name name of the new hook
+	 * @returns {Hook} the new hook
+	 */
+	clone(name = this.name) {
+		const hook = new this.constructor(this._args, name, this._options);
+		hook._parent = this._parent;
+		hook.taps = this.taps.map(tap => Object.assign({}, tap));
+		hook.interceptors = this.interceptors.map(interceptor =>
+			Object.assign({}, interceptor)
+		);
+		return hook;
+	}
+
+	/**
+	 * Adds copies of the taps of this hook to another hook. Fails without
+	 * adding any tap when the other hook doesn't support the type of a tap.
+	 * @param {Hook} hook the hook to add the taps to
+	 * @param {function(Tap): boolean=} filter selects the taps to copy
+	 * @returns {number} the number of copied taps
+	 */
+	copyTapsTo(hook, filter) {
+		return this._transferTaps(hook, filter, false);
+	}
+
+	/**
+	 * Like copyTapsTo, but removes the taps from this hook.
+	 * @param {Hook} hook the hook to move the taps to
+	 * @param {function(Tap): boolean=} filter selects the taps to move
+	 * @returns {number} the number of moved taps
+	 */
+	moveTapsTo(hook, filter) {
+		return this._transferTaps(hook, filter, true);
+	}
+
+	_transferTaps(hook, filter, remove) {
+		if (hook === this) {
+			throw new Error("Can't transfer taps to the same hook");
+		}
+		const taps = filter === undefined ? this.taps : this.taps.filter(filter);
+		const disposers = [];
+		try {
+			for (const tap of taps) {
+				// the register interceptors of the target hook are called with
+				// the tap as it was added, not as replaced by those of this hook
+				const original = getUnregisteredTap(tap);
+				const options = Object.assign({}, original);
+				delete options.type;
+				delete options.fn;
+				if (tap.enabled !== undefined) options.enabled = tap.enabled;
+				disposers.push(hook[TAP_METHODS[tap.type]](options, original.fn));
+			}
+		} catch (err) {
+			for (const dispose of disposers) dispose();
+			throw err;
+		}
+		if (remove) {
+			for (const tap of taps) this.untap(tap);
+		}
+		return taps.length;
+	}
+
+	/**
+	 * @returns {Tap[]} the sorted taps of this hook including the taps of
+	 * the parent hooks
+	 */
+	_collectTaps() {
+		if (this._parent === undefined) return this._sortTaps(this.taps);
+		const taps = this._parent._collectTaps().slice();
+		for (const tap of this.taps) insertTap(taps, tap);
+		return this._sortTaps(taps);
+	}
+
+	_tapError(error, tap, callMode) {
+		const details = {
+			hookName: this.name,
+			tapName: tap.name,
+			tapType: tap.type,
+			callMode
+		};
+		if (this._options.errors === "annotate") {
+			return HookError.annotate(error, details);
+		}
+		return new HookError(error, details);
+	}
+
+	_abortError(signal) {
+		return new AbortError(signal.reason);
+	}
+
+	_loopLimitError(tapName) {
+		const error = new Error(
+			`Tap "${tapName}" of hook ${
+				this.name !== undefined ? `"${this.name}"` : "(unnamed)"
+			} kept restarting the loop, maxIterations (${
+				this._options.maxIterations
+			}) exceeded`
+		);
+		error.hookName = this.name;
+		error.tapName = tapName;
+		return error;
+	}
+
+	_startTapTimer(tap, timeout, warnAfter, onTimeout) {
+		let warnTimer;
+		let timeoutTimer;
+		if (warnAfter > 0) {
+			warnTimer = setTimeout(() => {
+				for (const interceptor of this.interceptors) {
+					if (interceptor.slow) interceptor.slow(tap, warnAfter);
+				}
+			}, warnAfter);
+		}
+		if (timeout > 0) {
+			timeoutTimer = setTimeout(() => {
+				clearTimeout(warnTimer);
+				onTimeout(
+					new TimeoutError({
+						hookName: this.name,
+						tapName: tap.name,
+						tapType: tap.type,
+						timeout
+					})
+				);
+			}, timeout);
+		}
+		return () => {
+			clearTimeout(warnTimer);
+			clearTimeout(timeoutTimer);
+		};
 	}
 
 	_tap(type, options, fn) {
@@ -66,31 +661,179 @@ class Hook {
 		if (typeof options.name !== "string" || options.name === "") {
 			throw new Error("Missing name for tap");
 		}
+		this._checkSealed(`tap "${options.name}"`);
 		if (typeof options.context !== "undefined") {
 			deprecateContext();
 		}
+		validateDuration(options.timeout, "timeout");
+		validateDuration(options.warnAfter, "warnAfter");
+		if (options.enabled !== undefined && typeof options.enabled !== "boolean") {
+			throw new Error(`Invalid enabled option "${options.enabled}"`);
+		}
+		if (options.when !== undefined && typeof options.when !== "function") {
+			throw new Error("Invalid when option, expected a function");
+		}
 		options = Object.assign({ type, fn }, options);
 		options = this._runRegisterInterceptors(options);
 		this._insert(options);
+		if (this._latchedArgs !== undefined) {
+			try {
+				this._replayTap(options);
+			} catch (err) {
+				// no disposer is returned, so the tap must not stay registered
+				this.untap(options);
+				throw err;
+			}
+		}
+		return () => this.untap(options);
+	}
+
+	_latchCall(args) {
+		if (this._options.latch === "first" && this._latchedArgs !== undefined) {
+			return;
+		}
+		this._latchedArgs = args;
+	}
+
+	/**
+	 * Calls a tap added after the hook has been called with the latched
+	 * arguments, like a call of the hook which only has this tap. Errors of
+	 * sync taps are thrown, errors of async and promise taps are reported to
+	 * the `error` interceptors.
+	 * @param {Tap} tap the new tap
+	 * @returns {void}
+	 */
+	_replayTap(tap) {
+		if (tap.enabled === false) return;
+		// compiling sets up the hook it's called on, so the call is compiled
+		// for a view of the hook which only has the new tap
+		const replay = Object.create(this);
+		replay.taps = [tap];
+		replay._parent = undefined;
+		replay._options = Object.assign({}, this._options, { latch: undefined });
+		replay._callOnce = t => this._callOnce(t);
+		if (tap.type === "sync") {
+			replay
+				._compileCall(replay.taps, "sync", "none")
+				.apply(replay, this._latchedArgs);
+			return;
+		}
+		const promise = replay
+			._compileCall(replay.taps, "promise", "none")
+			.apply(replay, this._latchedArgs);
+		// without error interceptors the error is reported as unhandled rejection
+		if (this.interceptors.some(interceptor => interceptor.error)) {
+			promise.catch(() => {});
+		}
+	}
+
+	reset() {
+		this._latchedArgs = undefined;
 	}
 
 	tap(options, fn) {
-		this._tap("sync", options, fn);
+		return this._tap("sync", options, fn);
 	}
 
 	tapAsync(options, fn) {
-		this._tap("async", options, fn);
+		return this._tap("async", options, fn);
 	}
 
 	tapPromise(options, fn) {
-		this._tap("promise", options, fn);
+		return this._tap("promise", options, fn);
+	}
+
+	tapOnce(options, fn) {
+		return this.tap(toOnceOptions(options), fn);
+	}
+
+	tapAsyncOnce(options, fn) {
+		return this.tapAsync(toOnceOptions(options), fn);
+	}
+
+	tapPromiseOnce(options, fn) {
+		return this.tapPromise(toOnceOptions(options), fn);
+	}
+
+	/**
+	 * Removes a once tap when it's called.
+	 * @param {Tap} tap the once tap which is about to be called
+	 * @returns {boolean} false, when the tap has been called already
+	 */
+	_callOnce(tap) {
+		const original = getOriginalTap(tap);
+		if (calledOnceTaps.has(original)) return false;
+		calledOnceTaps.add(original);
+		// the tap may be inherited from a parent hook
+		for (let hook = this; hook !== undefined; hook = hook._parent) {
+			if (hook.untap(original)) break;
+		}
+		return true;
+	}
+
+	untap(tap) {
+		const matches = this._tapMatcher(tap, "Invalid tap to remove");
+		const removed = this.taps.filter(matches);
+		if (removed.length === 0) return false;
+		this._resetCompilation();
+		// replace the array so that currently running calls keep their taps
+		this.taps = this.taps.filter(t => !matches(t));
+		for (const t of removed) {
+			this._runUnregisterInterceptors(t);
+		}
+		return true;
+	}
+
+	disableTap(tap) {
+		return this._setTapEnabled(tap, false);
+	}
+
+	enableTap(tap) {
+		return this._setTapEnabled(tap, true);
+	}
+
+	_setTapEnabled(tap, enabled) {
+		const matches = this._tapMatcher(tap, "Invalid tap to toggle");
+		let found = false;
+		for (const t of this.taps) {
+			if (!matches(t)) continue;
+			found = true;
+			if ((t.enabled !== false) === enabled) continue;
+			t.enabled = enabled;
+			this._resetCompilation();
+			for (const interceptor of this.interceptors) {
+				if (interceptor.toggle) interceptor.toggle(t, enabled);
+			}
+		}
+		return found;
+	}
+
+	_tapMatcher(tap, message) {
+		if (typeof tap === "string") {
+			const name = tap.trim();
+			return t => t.name === name;
+		} else if (typeof tap === "object" && tap !== null) {
+			const original = getOriginalTap(tap);
+			return t => getOriginalTap(t) === original;
+		}
+		throw new Error(message);
+	}
+
+	_enabledTaps(taps) {
+		for (let i = 0; i < taps.length; i++) {
+			if (taps[i].enabled === false) {
+				return taps.filter(t => t.enabled !== false);
+			}
+		}
+		return taps;
 	}
 
 	_runRegisterInterceptors(options) {
 		for (const interceptor of this.interceptors) {
 			if (interceptor.register) {
 				const newOptions = interceptor.register(options);
-				if (newOptions !== undefined) {
+				if (newOptions !== undefined && newOptions !== options) {
+					registeredTaps.set(newOptions, { interceptor, previous: options });
 					options = newOptions;
 				}
 			}
@@ -98,6 +841,15 @@ class Hook {
 		return options;
 	}
 
+	_runUnregisterInterceptors(tap) {
+		for (let i = this.interceptors.length - 1; i >= 0; i--) {
+			const interceptor = this.interceptors[i];
+			if (interceptor.unregister) {
+				interceptor.unregister(tap);
+			}
+		}
+	}
+
 	withOptions(options) {
 		const mergeOptions = opt =>
 			Object.assign({}, options, typeof opt === "string" ? { name: opt } : opt);
@@ -107,69 +859,309 @@ class Hook {
 			tap: (opt, fn) => this.tap(mergeOptions(opt), fn),
 			tapAsync: (opt, fn) => this.tapAsync(mergeOptions(opt), fn),
 			tapPromise: (opt, fn) => this.tapPromise(mergeOptions(opt), fn),
+			tapOnce: (opt, fn) => this.tapOnce(mergeOptions(opt), fn),
+			tapAsyncOnce: (opt, fn) => this.tapAsyncOnce(mergeOptions(opt), fn),
+			tapPromiseOnce: (opt, fn) => this.tapPromiseOnce(mergeOptions(opt), fn),
+			untap: tap => this.untap(tap),
+			disableTap: tap => this.disableTap(tap),
+			enableTap: tap => this.enableTap(tap),
 			intercept: interceptor => this.intercept(interceptor),
 			isUsed: () => this.isUsed(),
+			seal: mode => this.seal(mode),
+			isSealed: () => this.isSealed(),
 			withOptions: opt => this.withOptions(mergeOptions(opt))
 		};
 	}
 
+	withSignal(signal) {
+		if (
+			typeof signal !== "object" ||
+			signal === null ||
+			typeof signal.addEventListener !== "function"
+		) {
+			throw new Error("Invalid AbortSignal");
+		}
+		return {
+			callAsync: (...args) => this._callAsyncSignal(signal, ...args),
+			promise: (...args) => this._promiseSignal(signal, ...args)
+		};
+	}
+
+	/**
+	 * Implements `withConcurrency` of the parallel hooks.
+	 * @param {number} concurrency the maximum number of running taps
+	 * @returns {{ callAsync: Function, promise: Function }} the limited calls
+	 */
+	_withConcurrency(concurrency) {
+		validateConcurrency(concurrency);
+		return {
+			callAsync: (...args) => this._callAsyncConcurrency(concurrency, ...args),
+			promise: (...args) => this._promiseConcurrency(concurrency, ...args)
+		};
+	}
+
 	isUsed() {
-		return this.taps.length > 0 || this.interceptors.length > 0;
+		return (
+			this.taps.length > 0 ||
+			this.interceptors.length > 0 ||
+			(this._parent !== undefined && this._parent._collectTaps().length > 0)
+		);
 	}
 
+	/**
+	 * Adds an interceptor. Interceptors are ordered by their `stage` option
+	 * and then by the order in which they were added.
+	 * @param {Interceptor} interceptor the interceptor
+	 * @returns {function(): boolean} removes the interceptor again
+	 */
 	intercept(interceptor) {
+		this._checkSealed(
+			interceptor.name !== undefined
+				? `interceptor "${interceptor.name}"`
+				: "an interceptor"
+		);
+		if (
+			interceptor.stage !== undefined &&
+			typeof interceptor.stage !== "number"
+		) {
+			throw new Error(`Invalid stage option "${interceptor.stage}"`);
+		}
 		this._resetCompilation();
-		this.interceptors.push(Object.assign({}, interceptor));
-		if (interceptor.register) {
+		const item = Object.assign({}, interceptor);
+		const stage = item.stage || 0;
+		let index = this.interceptors.length;
+		while (index > 0 && (this.interceptors[index - 1].stage || 0) > stage) {
+			index--;
+		}
+		// replace the array so that currently running calls keep their interceptors
+		this.interceptors = this.interceptors.slice();
+		this.interceptors.splice(index, 0, item);
+		if (item.register) {
 			for (let i = 0; i < this.taps.length; i++) {
-				this.taps[i] = interceptor.register(this.taps[i]);
+				const tap = this.taps[i];
+				const newTap = item.register(tap);
+				if (newTap !== undefined && newTap !== tap) {
+					originalTaps.set(newTap, getOriginalTap(tap));
+					registeredTaps.set(newTap, { interceptor: item, previous: tap });
+					this.taps[i] = newTap;
+				}
 			}
 		}
+		return () => this._removeInterceptor(item);
+	}
+
+	/**
+	 * Removes an interceptor, calls its `unregister` for all taps and
+	 * restores the taps it replaced in `register`.
+	 * @param {Interceptor} interceptor the interceptor
+	 * @returns {boolean} false, when the interceptor has been removed already
+	 */
+	_removeInterceptor(interceptor) {
+		if (!this.interceptors.includes(interceptor)) return false;
+		this._resetCompilation();
+		this.interceptors = this.interceptors.filter(i => i !== interceptor);
+		if (interceptor.unregister) {
+			for (const tap of this.taps) interceptor.unregister(tap);
+		}
+		if (interceptor.register) {
+			this.taps = this.taps.map(tap => {
+				const restoredTap = this._withoutRegistration(tap, interceptor);
+				// the restored tap keeps the identity of the tap for untap
+				if (restoredTap !== getOriginalTap(tap)) {
+					originalTaps.set(restoredTap, getOriginalTap(tap));
+				}
+				return restoredTap;
+			});
+		}
+		return true;
+	}
+
+	/**
+	 * Undoes the replacement of a tap by the `register` of an interceptor.
+	 * Interceptors which replaced the tap afterwards are called again.
+	 * @param {Tap} tap the tap
+	 * @param {Interceptor} interceptor the removed interceptor
+	 * @returns {Tap} the tap without the changes of the interceptor
+	 */
+	_withoutRegistration(tap, interceptor) {
+		const registration = registeredTaps.get(tap);
+		if (registration === undefined) return tap;
+		if (registration.interceptor === interceptor) return registration.previous;
+		const previous = this._withoutRegistration(
+			registration.previous,
+			interceptor
+		);
+		if (previous === registration.previous) return tap;
+		const newTap = registration.interceptor.register(previous);
+		if (newTap === undefined || newTap === previous) return previous;
+		registeredTaps.set(newTap, {
+			interceptor: registration.interceptor,
+			previous
+		});
+		return newTap;
+	}
+
+	/**
+	 * Forbids adding taps and interceptors. In "warn" mode they are still
+	 * added, but a process warning is emitted.
+	 * @param {"throw" | "warn"} mode how additions are reported
+	 * @returns {void}
+	 */
+	seal(mode = "throw") {
+		validateSealMode(mode);
+		this._sealed = mode;
+	}
+
+	isSealed() {
+		return this._sealed !== undefined;
+	}
+
+	_checkSealed(what) {
+		if (this._sealed === undefined) return;
+		checkSealed(
+			this._sealed,
+			`Can't add ${what} to sealed hook ${
+				this.name !== undefined ? `"${this.name}"` : "(unnamed)"
+			}`
+		);
 	}
 
 	_resetCompilation() {
 		this.call = this._call;
 		this.callAsync = this._callAsync;
 		this.promise = this._promise;
+		this._callAsyncSignal = CALL_ASYNC_SIGNAL_DELEGATE;
+		this._promiseSignal = PROMISE_SIGNAL_DELEGATE;
+		this._callAsyncConcurrency = CALL_ASYNC_CONCURRENCY_DELEGATE;
+		this._promiseConcurrency = PROMISE_CONCURRENCY_DELEGATE;
+		this._tapsVersion++;
 	}
 
-	_insert(item) {
-		this._resetCompilation();
-		let before;
-		if (typeof item.before === "string") {
-			before = new Set([item.before]);
-		} else if (Array.isArray(item.before)) {
-			before = new Set(item.before);
-		}
-		let stage = 0;
-		if (typeof item.stage === "number") {
-			stage = item.stage;
-		}
-		let i = this.taps.length;
-		while (i > 0) {
-			i--;
-			const x = this.taps[i];
-			this.taps[i + 1] = x;
-			const xStage = x.stage || 0;
-			if (before) {
-				if (before.has(x.name)) {
-					before.delete(x.name);
-					continue;
-				}
-				if (before.size > 0) {
-					continue;
+	/**
+	 * Checks the `requires` options of the taps and reorders the taps so that
+	 * all `before` and `after` constraints are fulfilled. Taps keep their
+	 * current order (by stage and registration) where the constraints allow it.
+	 * @param {Tap[]} taps the taps
+	 * @returns {Tap[]} the sorted taps, the same array when the order is unchanged
+	 */
+	_sortTaps(taps) {
+		const indicesByName = new Map();
+		let constrained = false;
+		for (let i = 0; i < taps.length; i++) {
+			const tap = taps[i];
+			const indices = indicesByName.get(tap.name);
+			if (indices === undefined) {
+				indicesByName.set(tap.name, [i]);
+			} else {
+				indices.push(i);
+			}
+			if (tap.before !== undefined || tap.after !== undefined) {
+				constrained = true;
+			}
+		}
+		const hookName = this.name !== undefined ? `"${this.name}"` : "(unnamed)";
+		for (const tap of taps) {
+			for (const name of toNames(tap.requires)) {
+				if (!indicesByName.has(name)) {
+					throw new Error(
+						`Tap "${
+							tap.name
+						}" of hook ${hookName} requires tap "${name}", which is not registered`
+					);
 				}
 			}
-			if (xStage > stage) {
-				continue;
+		}
+		if (!constrained) return taps;
+
+		const successors = taps.map(() => new Set());
+		const predecessors = taps.map(() => new Set());
+		const addEdge = (from, to) => {
+			if (taps[from].name === taps[to].name) return;
+			successors[from].add(to);
+			predecessors[to].add(from);
+		};
+		for (let i = 0; i < taps.length; i++) {
+			for (const name of toNames(taps[i].before)) {
+				for (const j of indicesByName.get(name) || []) addEdge(i, j);
+			}
+			for (const name of toNames(taps[i].after)) {
+				for (const j of indicesByName.get(name) || []) addEdge(j, i);
+			}
+		}
+
+		const inDegree = predecessors.map(set => set.size);
+		const ready = [];
+		for (let i = 0; i < taps.length; i++) {
+			if (inDegree[i] === 0) ready.push(i);
+		}
+		const order = [];
+		while (ready.length > 0) {
+			// always continue with the tap which comes first currently
+			let min = 0;
+			for (let k = 1; k < ready.length; k++) {
+				if (ready[k] < ready[min]) min = k;
+			}
+			const i = ready[min];
+			ready.splice(min, 1);
+			order.push(i);
+			for (const j of successors[i]) {
+				if (--inDegree[j] === 0) ready.push(j);
 			}
-			i++;
-			break;
 		}
-		this.taps[i] = item;
+
+		if (order.length < taps.length) {
+			// every remaining tap has a remaining predecessor,
+			// so walking backwards must end in a cycle
+			const remaining = new Set();
+			for (let i = 0; i < taps.length; i++) {
+				if (inDegree[i] > 0) remaining.add(i);
+			}
+			const path = [];
+			const visited = new Map();
+			let current = remaining.values().next().value;
+			while (!visited.has(current)) {
+				visited.set(current, path.length);
+				path.push(current);
+				for (const p of predecessors[current]) {
+					if (remaining.has(p)) {
+						current = p;
+						break;
+					}
+				}
+			}
+			const cycle = path.slice(visited.get(current)).reverse();
+			cycle.push(cycle[0]);
+			throw new Error(
+				`Cyclic tap order in hook ${hookName}: ${cycle
+					.map(i => taps[i].name)
+					.join(" -> ")}`
+			);
+		}
+
+		if (order.some((i, k) => i !== k)) {
+			return order.map(i => taps[i]);
+		}
+		return taps;
+	}
+
+	_insert(item) {
+		this._resetCompilation();
+		insertTap(this.taps, item);
 	}
 }
 
 Object.setPrototypeOf(Hook.prototype, null);
 
+/**
+ * Sets the backend used by hooks that don't specify one in their options.
+ * "codegen" compiles hooks with `new Function`, "interpreter" executes them
+ * without generating code. Only affects hooks compiled afterwards.
+ * @param {"codegen" | "interpreter"} backend the backend
+ * @returns {void}
+ */
+Hook.setDefaultBackend = backend => {
+	validateBackend(backend);
+	defaultBackend = backend;
+};
+
 module.exports = Hook;
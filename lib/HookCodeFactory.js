@@ -4,6 +4,12 @@
 */
 "use strict";
 
+const CALL_MODES = {
+	sync: "call",
+	async: "callAsync",
+	promise: "promise"
+};
+
 class HookCodeFactory {
 	constructor(config) {
 		this.config = config;
@@ -20,7 +26,7 @@ class HookCodeFactory {
 					this.args(),
 					'"use strict";\n' +
 						this.header() +
-						this.contentWithInterceptors({
+						this.contentWithProfiler({
 							onError: err => `throw ${err};\n`,
 							onResult: result => `return ${result};\n`,
 							resultReturns: true,
@@ -32,11 +38,12 @@ class HookCodeFactory {
 			case "async":
 				fn = new Function(
 					this.args({
+						before: this.callPrefix(),
 						after: "_callback"
 					}),
 					'"use strict";\n' +
 						this.header() +
-						this.contentWithInterceptors({
+						this.contentWithProfiler({
 							onError: err => `_callback(${err});\n`,
 							onResult: result => `_callback(null, ${result});\n`,
 							onDone: () => "_callback();\n"
@@ -45,7 +52,7 @@ class HookCodeFactory {
 				break;
 			case "promise":
 				let errorHelperUsed = false;
-				const content = this.contentWithInterceptors({
+				const content = this.contentWithProfiler({
 					onError: err => {
 						errorHelperUsed = true;
 						return `_error(${err});\n`;
@@ -72,7 +79,12 @@ class HookCodeFactory {
 					code += "_sync = false;\n";
 				}
 				code += "}));\n";
-				fn = new Function(this.args(), code);
+				fn = new Function(
+					this.args({
+						before: this.callPrefix()
+					}),
+					code
+				);
 				break;
 		}
 		this.deinit();
@@ -96,6 +108,29 @@ class HookCodeFactory {
 		this._args = undefined;
 	}
 
+	contentWithProfiler(options) {
+		if (!this.options.profile) return this.contentWithInterceptors(options);
+		const profileEnd = "_profiler.callEnd(_profileCall);\n";
+		if (this.options.type === "sync") {
+			let code = "try {\n";
+			code += this.contentWithInterceptors(options);
+			code += "} finally {\n";
+			code += profileEnd;
+			code += "}\n";
+			return code;
+		}
+		const onError = options.onError;
+		const onResult = options.onResult;
+		const onDone = options.onDone;
+		return this.contentWithInterceptors(
+			Object.assign(options, {
+				onError: onError && (err => profileEnd + onError(err)),
+				onResult: onResult && (result => profileEnd + onResult(result)),
+				onDone: onDone && (() => profileEnd + onDone())
+			})
+		);
+	}
+
 	contentWithInterceptors(options) {
 		if (this.options.interceptors.length > 0) {
 			const onError = options.onError;
@@ -110,7 +145,7 @@ class HookCodeFactory {
 					})});\n`;
 				}
 			}
-			code += this.content(
+			code += this.contentWithSignal(
 				Object.assign(options, {
 					onError:
 						onError &&
@@ -155,8 +190,50 @@ class HookCodeFactory {
 			);
 			return code;
 		} else {
-			return this.content(options);
+			return this.contentWithSignal(options);
+		}
+	}
+
+	contentWithSignal(options) {
+		if (!this.options.signal) return this.content(options);
+		const onError = options.onError;
+		const onResult = options.onResult;
+		const onDone = options.onDone;
+		const settle = code => {
+			let settleCode = "";
+			settleCode += "if(!_settled) {\n";
+			settleCode += "_settled = true;\n";
+			settleCode += '_signal.removeEventListener("abort", _abort);\n';
+			settleCode += code;
+			settleCode += "}\n";
+			return settleCode;
+		};
+		let code = "";
+		code += "var _settled = false;\n";
+		code += "var _abort = (function() {\n";
+		code += "if(_settled) return;\n";
+		code += "var _abortError = _hook._abortError(_signal);\n";
+		for (let i = 0; i < this.options.interceptors.length; i++) {
+			const interceptor = this.options.interceptors[i];
+			if (interceptor.abort) {
+				code += `${this.getInterceptor(i)}.abort(_abortError);\n`;
+			}
 		}
+		code += settle(onError("_abortError"));
+		code += "});\n";
+		code += "if(_signal.aborted) {\n";
+		code += "_abort();\n";
+		code += "} else {\n";
+		code += '_signal.addEventListener("abort", _abort);\n';
+		code += this.content(
+			Object.assign(options, {
+				onError: onError && (err => settle(onError(err))),
+				onResult: onResult && (result => settle(onResult(result))),
+				onDone: onDone && (() => settle(onDone()))
+			})
+		);
+		code += "}\n";
+		return code;
 	}
 
 	header() {
@@ -167,19 +244,165 @@ class HookCodeFactory {
 			code += "var _context;\n";
 		}
 		code += "var _x = this._x;\n";
+		if (this.needTaps()) {
+			code += `var _taps = ${
+				this.options.activeTaps ? "this._activeTaps" : "this.taps"
+			};\n`;
+		}
 		if (this.options.interceptors.length > 0) {
-			code += "var _taps = this.taps;\n";
 			code += "var _interceptors = this.interceptors;\n";
 		}
+		if (this.needHook()) {
+			code += "var _hook = this;\n";
+		}
+		if (this.options.latch) {
+			code += `_hook._latchCall([${this.args()}]);\n`;
+		}
+		if (this.options.bail) {
+			code += "var _bail = this._options.bail;\n";
+		}
+		if (this.options.profile) {
+			code += "var _profiler = this._profiler;\n";
+			code += `var _profileCall = _profiler.callStart(this, ${JSON.stringify(
+				CALL_MODES[this.options.type]
+			)});\n`;
+		}
 		return code;
 	}
 
+	needHook() {
+		return (
+			!!this.options.errors ||
+			!!this.options.signal ||
+			!!this.options.concurrency ||
+			!!this.options.defaultResult ||
+			!!this.options.maxIterations ||
+			this.needTimers() ||
+			this.options.taps.some(t => t.once) ||
+			!!this.options.latch
+		);
+	}
+
+	needTaps() {
+		return (
+			this.options.interceptors.length > 0 ||
+			!!this.options.profile ||
+			!!this.options.errors ||
+			this.needTimers() ||
+			this.options.taps.some(t => t.when !== undefined || t.once)
+		);
+	}
+
+	needTimers() {
+		for (const tap of this.options.taps) if (this.tapTimers(tap)) return true;
+		return false;
+	}
+
+	tapTimers(tap) {
+		if (tap.type === "sync") return undefined;
+		const timeout =
+			tap.timeout !== undefined ? tap.timeout : this.options.timeout;
+		const warnAfter =
+			tap.warnAfter !== undefined ? tap.warnAfter : this.options.warnAfter;
+		const hasTimeout = timeout !== undefined && timeout !== Infinity;
+		const hasWarnAfter = warnAfter !== undefined && warnAfter !== Infinity;
+		if (!hasTimeout && !hasWarnAfter) return undefined;
+		return {
+			timeout: hasTimeout ? timeout : 0,
+			warnAfter: hasWarnAfter ? warnAfter : 0
+		};
+	}
+
 	needContext() {
 		for (const tap of this.options.taps) if (tap.context) return true;
 		return false;
 	}
 
-	callTap(tapIndex, { onError, onResult, onDone, rethrowIfPossible }) {
+	callTap(tapIndex, options) {
+		if (!this.options.signal)
+			return this.callTapUnlessSkipped(tapIndex, options);
+		let code = "";
+		code += "if(_signal.aborted) {\n";
+		code += "_abort();\n";
+		code += "} else {\n";
+		code += this.callTapUnlessSkipped(tapIndex, options);
+		code += "}\n";
+		return code;
+	}
+
+	callTapUnlessSkipped(tapIndex, options) {
+		const tap = this.options.taps[tapIndex];
+		const conditions = [];
+		if (tap.when !== undefined) {
+			conditions.push(`${this.getTap(tapIndex)}.when(${this.args()})`);
+		}
+		if (tap.once) {
+			conditions.push(`_hook._callOnce(${this.getTap(tapIndex)})`);
+		}
+		if (conditions.length === 0)
+			return this.callTapUnlessAborted(tapIndex, options);
+		let code = "";
+		code += `if(${conditions.join(" && ")}) {\n`;
+		code += this.callTapUnlessAborted(tapIndex, options);
+		code += "} else {\n";
+		code += this.skipTap(tapIndex, options);
+		code += "}\n";
+		return code;
+	}
+
+	/**
+	 * A skipped tap continues the hook like a tap without result,
+	 * unless the hook handles skipped taps itself with `onSkip`.
+	 */
+	skipTap(tapIndex, { onResult, onDone, onSkip }) {
+		let code = "";
+		for (let i = 0; i < this.options.interceptors.length; i++) {
+			const interceptor = this.options.interceptors[i];
+			if (interceptor.skip) {
+				code += `${this.getInterceptor(i)}.skip(${
+					interceptor.context ? "_context, " : ""
+				}${this.getTap(tapIndex)});\n`;
+			}
+		}
+		if (onSkip) code += onSkip();
+		else if (onResult) code += onResult("undefined");
+		else if (onDone) code += onDone();
+		return code;
+	}
+
+	hasTapEvent(event) {
+		return this.options.interceptors.some(interceptor => interceptor[event]);
+	}
+
+	tapEvent(tapIndex, event, value) {
+		let code = "";
+		for (let i = 0; i < this.options.interceptors.length; i++) {
+			const interceptor = this.options.interceptors[i];
+			if (interceptor[event]) {
+				code += `${this.getInterceptor(i)}.${event}(${
+					interceptor.context ? "_context, " : ""
+				}${this.getTap(tapIndex)}${value ? `, ${value}` : ""});\n`;
+			}
+		}
+		return code;
+	}
+
+	/**
+	 * `isForwardedError` returns a condition for errors which the tap only
+	 * passes on, e.g. errors returned by `next` of middleware taps. These are
+	 * neither wrapped nor reported again.
+	 */
+	callTapUnlessAborted(
+		tapIndex,
+		{
+			onError,
+			onResult,
+			onDone,
+			rethrowIfPossible,
+			extraArgs,
+			isForwardedError
+		}
+	) {
 		let code = "";
 		let hasTapCached = false;
 		for (let i = 0; i < this.options.interceptors.length; i++) {
@@ -196,28 +419,88 @@ class HookCodeFactory {
 		}
 		code += `var _fn${tapIndex} = ${this.getTapFn(tapIndex)};\n`;
 		const tap = this.options.taps[tapIndex];
+		const profile = this.options.profile;
+		const profileEnd = profile
+			? `_profiler.tapEnd(_profileTap${tapIndex});\n`
+			: "";
+		const wrapError = err =>
+			this.options.errors
+				? `${err} = _hook._tapError(${err}, ${this.getTap(
+						tapIndex
+				  )}, ${JSON.stringify(CALL_MODES[this.options.type])});\n`
+				: "";
+		const tapError = err => this.tapEvent(tapIndex, "tapError", err);
+		const reportError = err => {
+			const code = wrapError(err) + tapError(err);
+			if (!code || !isForwardedError) return code;
+			return `if(!(${isForwardedError(err)})) {\n${code}}\n`;
+		};
+		const tapSucceeded = () =>
+			this.tapEvent(tapIndex, "tapResult", `_result${tapIndex}`) +
+			this.tapEvent(tapIndex, "tapDone");
+		const needResult = onResult || this.hasTapEvent("tapResult");
+		const rethrowWrapped =
+			rethrowIfPossible &&
+			(this.options.errors || this.hasTapEvent("tapError"));
+		const timers = this.tapTimers(tap);
+		const startTimer = () => {
+			let code = `_hook._startTapTimer(${this.getTap(tapIndex)}, ${
+				timers.timeout
+			}, ${timers.warnAfter}, (function(_timeoutError${tapIndex}) {\n`;
+			code += `_finished${tapIndex} = true;\n`;
+			code += profileEnd;
+			code += tapError(`_timeoutError${tapIndex}`);
+			code += onError(`_timeoutError${tapIndex}`);
+			code += "}))";
+			return code;
+		};
+		const finish = () => {
+			let code = "";
+			code += `if(_finished${tapIndex}) return;\n`;
+			code += `_finished${tapIndex} = true;\n`;
+			code += `if(_stopTimer${tapIndex}) _stopTimer${tapIndex}();\n`;
+			return code;
+		};
+		if (profile) {
+			code += `var _profileTap${tapIndex} = _profiler.tapStart(_profileCall, ${this.getTap(
+				tapIndex
+			)});\n`;
+		}
 		switch (tap.type) {
 			case "sync":
 				if (!rethrowIfPossible) {
 					code += `var _hasError${tapIndex} = false;\n`;
 					code += "try {\n";
 				}
-				if (onResult) {
+				if (rethrowWrapped) code += "try {\n";
+				if (profile) code += "try {\n";
+				if (needResult) {
 					code += `var _result${tapIndex} = _fn${tapIndex}(${this.args({
-						before: tap.context ? "_context" : undefined
+						before: this.tapArgsBefore(tap),
+						after: extraArgs
 					})});\n`;
 				} else {
 					code += `_fn${tapIndex}(${this.args({
-						before: tap.context ? "_context" : undefined
+						before: this.tapArgsBefore(tap),
+						after: extraArgs
 					})});\n`;
 				}
+				if (profile) code += `} finally {\n${profileEnd}}\n`;
+				if (rethrowWrapped) {
+					code += "} catch(_err) {\n";
+					code += reportError("_err");
+					code += "throw _err;\n";
+					code += "}\n";
+				}
 				if (!rethrowIfPossible) {
 					code += "} catch(_err) {\n";
 					code += `_hasError${tapIndex} = true;\n`;
+					code += reportError("_err");
 					code += onError("_err");
 					code += "}\n";
 					code += `if(!_hasError${tapIndex}) {\n`;
 				}
+				code += tapSucceeded();
 				if (onResult) {
 					code += onResult(`_result${tapIndex}`);
 				}
@@ -230,12 +513,16 @@ class HookCodeFactory {
 				break;
 			case "async":
 				let cbCode = "";
-				if (onResult)
+				if (needResult)
 					cbCode += `(function(_err${tapIndex}, _result${tapIndex}) {\n`;
 				else cbCode += `(function(_err${tapIndex}) {\n`;
+				if (timers) cbCode += finish();
+				cbCode += profileEnd;
 				cbCode += `if(_err${tapIndex}) {\n`;
+				cbCode += reportError(`_err${tapIndex}`);
 				cbCode += onError(`_err${tapIndex}`);
 				cbCode += "} else {\n";
+				cbCode += tapSucceeded();
 				if (onResult) {
 					cbCode += onResult(`_result${tapIndex}`);
 				}
@@ -244,20 +531,35 @@ class HookCodeFactory {
 				}
 				cbCode += "}\n";
 				cbCode += "})";
+				if (timers) {
+					code += `var _finished${tapIndex} = false;\n`;
+					code += `var _stopTimer${tapIndex};\n`;
+				}
 				code += `_fn${tapIndex}(${this.args({
-					before: tap.context ? "_context" : undefined,
-					after: cbCode
+					before: this.tapArgsBefore(tap),
+					after: extraArgs ? `${extraArgs}, ${cbCode}` : cbCode
 				})});\n`;
+				if (timers) {
+					code += `if(!_finished${tapIndex}) _stopTimer${tapIndex} = ${startTimer()};\n`;
+				}
 				break;
 			case "promise":
 				code += `var _hasResult${tapIndex} = false;\n`;
 				code += `var _promise${tapIndex} = _fn${tapIndex}(${this.args({
-					before: tap.context ? "_context" : undefined
+					before: this.tapArgsBefore(tap),
+					after: extraArgs
 				})});\n`;
 				code += `if (!_promise${tapIndex} || !_promise${tapIndex}.then)\n`;
 				code += `  throw new Error('Tap function (tapPromise) did not return promise (returned ' + _promise${tapIndex} + ')');\n`;
+				if (timers) {
+					code += `var _finished${tapIndex} = false;\n`;
+					code += `var _stopTimer${tapIndex} = ${startTimer()};\n`;
+				}
 				code += `_promise${tapIndex}.then((function(_result${tapIndex}) {\n`;
+				if (timers) code += finish();
+				code += profileEnd;
 				code += `_hasResult${tapIndex} = true;\n`;
+				code += tapSucceeded();
 				if (onResult) {
 					code += onResult(`_result${tapIndex}`);
 				}
@@ -266,6 +568,9 @@ class HookCodeFactory {
 				}
 				code += `}), function(_err${tapIndex}) {\n`;
 				code += `if(_hasResult${tapIndex}) throw _err${tapIndex};\n`;
+				if (timers) code += finish();
+				code += profileEnd;
+				code += reportError(`_err${tapIndex}`);
 				code += onError(`_err${tapIndex}`);
 				code += "});\n";
 				break;
@@ -289,9 +594,14 @@ class HookCodeFactory {
 		let unrollCounter = 0;
 		for (let j = this.options.taps.length - 1; j >= 0; j--) {
 			const i = j;
+			// the code of the following taps is referenced twice when a tap
+			// can be skipped, so it's moved into a function
 			const unroll =
 				current !== onDone &&
-				(this.options.taps[i].type !== "sync" || unrollCounter++ > 20);
+				(this.options.taps[i].type !== "sync" ||
+					this.options.taps[i].when !== undefined ||
+					this.options.taps[i].once ||
+					unrollCounter++ > 20);
 			if (unroll) {
 				unrollCounter = 0;
 				code += `function _next${i}() {\n`;
@@ -324,7 +634,13 @@ class HookCodeFactory {
 	callTapsLooping({ onError, onDone, rethrowIfPossible }) {
 		if (this.options.taps.length === 0) return onDone();
 		const syncOnly = this.options.taps.every(t => t.type === "sync");
+		const maxIterations = this.options.maxIterations;
+		const countIterations =
+			maxIterations || this.options.interceptors.some(i => i.loop);
 		let code = "";
+		if (countIterations) {
+			code += "var _loopIteration = 0;\n";
+		}
 		if (!syncOnly) {
 			code += "var _looper = (function() {\n";
 			code += "var _loopAsync = false;\n";
@@ -332,11 +648,15 @@ class HookCodeFactory {
 		code += "var _loop;\n";
 		code += "do {\n";
 		code += "_loop = false;\n";
+		if (countIterations) {
+			code += "_loopIteration++;\n";
+		}
 		for (let i = 0; i < this.options.interceptors.length; i++) {
 			const interceptor = this.options.interceptors[i];
 			if (interceptor.loop) {
 				code += `${this.getInterceptor(i)}.loop(${this.args({
-					before: interceptor.context ? "_context" : undefined
+					before: interceptor.context ? "_context" : undefined,
+					after: "_loopIteration"
 				})});\n`;
 			}
 		}
@@ -345,9 +665,22 @@ class HookCodeFactory {
 			onResult: (i, result, next, doneBreak) => {
 				let code = "";
 				code += `if(${result} !== undefined) {\n`;
+				if (maxIterations) {
+					code += `if(_loopIteration >= ${maxIterations}) {\n`;
+					code += onError(
+						i,
+						`_hook._loopLimitError(${JSON.stringify(
+							this.options.taps[i].name
+						)})`,
+						next,
+						doneBreak
+					);
+					code += "} else {\n";
+				}
 				code += "_loop = true;\n";
 				if (!syncOnly) code += "if(_loopAsync) _looper();\n";
 				code += doneBreak(true);
+				if (maxIterations) code += "}\n";
 				code += `} else {\n`;
 				code += next();
 				code += `}\n`;
@@ -388,6 +721,15 @@ class HookCodeFactory {
 				rethrowIfPossible
 			});
 		}
+		if (this.options.concurrency) {
+			return this.callTapsParallelLimited({
+				onError,
+				onResult,
+				onDone,
+				rethrowIfPossible,
+				onTap
+			});
+		}
 		let code = "";
 		code += "do {\n";
 		code += `var _counter = ${this.options.taps.length};\n`;
@@ -441,6 +783,161 @@ class HookCodeFactory {
 		return code;
 	}
 
+	callTapsParallelLimited({
+		onError,
+		onResult,
+		onDone,
+		rethrowIfPossible,
+		onTap
+	}) {
+		const count = this.options.taps.length;
+		let code = "";
+		code += `var _counter = ${count};\n`;
+		code += `var _concurrency = ${
+			this.options.callConcurrency
+				? "_callConcurrency"
+				: "_hook._options.concurrency"
+		};\n`;
+		code += "var _running = 0;\n";
+		code += "var _next = 0;\n";
+		code += "var _scheduling = false;\n";
+		if (onDone) {
+			code += "var _done = (function() {\n";
+			code += onDone();
+			code += "});\n";
+		}
+		const done = () => {
+			if (onDone)
+				return "_running--;\nif(--_counter === 0) _done();\nelse _schedule();\n";
+			else return "_running--;\n--_counter;\n_schedule();\n";
+		};
+		const doneBreak = skipDone => {
+			if (skipDone || !onDone) return "_counter = 0;\n";
+			else return "_counter = 0;\n_done();\n";
+		};
+		code += "var _runs = [\n";
+		for (let i = 0; i < count; i++) {
+			code += "(function() {\n";
+			code += onTap(
+				i,
+				() =>
+					this.callTap(i, {
+						onError: error => {
+							let code = "";
+							code += "if(_counter > 0) {\n";
+							code += onError(i, error, done, doneBreak);
+							code += "}\n";
+							return code;
+						},
+						onResult:
+							onResult &&
+							(result => {
+								let code = "";
+								code += "if(_counter > 0) {\n";
+								code += onResult(i, result, done, doneBreak);
+								code += "}\n";
+								return code;
+							}),
+						onDone:
+							!onResult &&
+							(() => {
+								return done();
+							}),
+						rethrowIfPossible
+					}),
+				done,
+				doneBreak
+			);
+			code += i < count - 1 ? "}),\n" : "})\n";
+		}
+		code += "];\n";
+		// taps completing synchronously continue in the running loop
+		// instead of starting the next tap recursively
+		code += "var _schedule = (function() {\n";
+		code += "if(_scheduling) return;\n";
+		code += "_scheduling = true;\n";
+		code += `while(_counter > 0 && _next < ${count} && _running < _concurrency) {\n`;
+		code += "_running++;\n";
+		code += "_runs[_next++]();\n";
+		code += "}\n";
+		code += "_scheduling = false;\n";
+		code += "});\n";
+		code += "_schedule();\n";
+		return code;
+	}
+
+	shouldBail(result) {
+		return this.options.bail ? `_bail(${result})` : `${result} !== undefined`;
+	}
+
+	defaultResult() {
+		return "_hook._options.defaultResult";
+	}
+
+	waterfallArgs() {
+		const { args, waterfall } = this.options;
+		if (waterfall === true) return args.map((name, i) => i);
+		return waterfall.map(name => args.indexOf(name));
+	}
+
+	waterfallUpdate(result) {
+		let code = `if(${result} !== undefined) {\n`;
+		if (!this.options.waterfall) {
+			code += `${this._args[0]} = ${result};\n`;
+		} else {
+			const threaded = this.waterfallArgs();
+			code += `if(Array.isArray(${result})) {\n`;
+			threaded.forEach((argIndex, i) => {
+				code += `if(${result}[${i}] !== undefined) ${
+					this._args[argIndex]
+				} = ${result}[${i}];\n`;
+			});
+			code += `} else if(typeof ${result} === "object" && ${result} !== null) {\n`;
+			for (const argIndex of threaded) {
+				const value = `${result}.${this.options.args[argIndex]}`;
+				code += `if(${value} !== undefined) ${
+					this._args[argIndex]
+				} = ${value};\n`;
+			}
+			code += "}\n";
+		}
+		code += "}\n";
+		return code;
+	}
+
+	waterfallResult() {
+		if (!this.options.waterfall) return this._args[0];
+		return `[${this.waterfallArgs()
+			.map(argIndex => this._args[argIndex])
+			.join(", ")}]`;
+	}
+
+	collectResult(tapIndex, result) {
+		if (this.options.withNames) {
+			return `_results[${tapIndex}] = { name: ${JSON.stringify(
+				this.options.taps[tapIndex].name
+			)}, value: ${result} };\n`;
+		}
+		return `_results[${tapIndex}] = ${result};\n`;
+	}
+
+	tapArgsBefore(tap) {
+		const before = [];
+		if (tap.context) before.push("_context");
+		if (tap.signal) before.push(this.tapSignal());
+		return before.length > 0 ? before.join(", ") : undefined;
+	}
+
+	callPrefix() {
+		if (this.options.signal) return "_signal";
+		if (this.options.callConcurrency) return "_callConcurrency";
+		return undefined;
+	}
+
+	tapSignal() {
+		return this.options.signal ? "_signal" : "undefined";
+	}
+
 	args({ before, after } = {}) {
 		let allArgs = this._args;
 		if (before) allArgs = [before].concat(allArgs);
@@ -0,0 +1,72 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const TAP_METHODS = {
+	sync: "tap",
+	async: "tapAsync",
+	promise: "tapPromise"
+};
+
+const getMessage = error =>
+	error instanceof Error || (error && typeof error.message === "string")
+		? error.message
+		: String(error);
+
+/**
+ * Error reported by a hook when one of its taps failed. The original error
+ * is available as `cause`.
+ */
+class HookError extends Error {
+	/**
+	 * @param {any} error the error thrown or passed by the tap
+	 * @param {{ hookName: string | undefined, tapName: string, tapType: string, callMode: string }} details where the error happened
+	 */
+	constructor(error, details) {
+		super(
+			`${TAP_METHODS[details.tapType] || details.tapType} "${
+				details.tapName
+			}" of hook ${
+				details.hookName !== undefined ? `"${details.hookName}"` : "(unnamed)"
+			} failed during ${details.callMode}: ${getMessage(error)}`
+		);
+		this.name = "HookError";
+		this.cause = error;
+		this.hookName = details.hookName;
+		this.tapName = details.tapName;
+		this.tapType = details.tapType;
+		this.callMode = details.callMode;
+	}
+
+	/**
+	 * Adds the details as non-enumerable properties to the error itself, so
+	 * that the identity of the error is kept. Errors which are no objects or
+	 * already have details are returned unchanged.
+	 * @param {any} error the error thrown or passed by the tap
+	 * @param {{ hookName: string | undefined, tapName: string, tapType: string, callMode: string }} details where the error happened
+	 * @returns {any} the error
+	 */
+	static annotate(error, details) {
+		if (
+			typeof error !== "object" ||
+			error === null ||
+			!Object.isExtensible(error) ||
+			Object.prototype.hasOwnProperty.call(error, "tapName")
+		) {
+			return error;
+		}
+		for (const key of Object.keys(details)) {
+			Object.defineProperty(error, key, {
+				value: details[key],
+				configurable: true,
+				writable: true,
+				enumerable: false
+			});
+		}
+		return error;
+	}
+}
+
+module.exports = HookError;
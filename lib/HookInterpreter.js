@@ -0,0 +1,854 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const CALL_MODES = {
+	sync: "call",
+	async: "callAsync",
+	promise: "promise"
+};
+
+/**
+ * Executes hooks without generating code. It mirrors the structure and the
+ * semantics of HookCodeFactory, but every method runs the taps directly
+ * instead of returning code. This allows to use hooks in environments where
+ * `new Function` is not allowed (e. g. with a strict Content-Security-Policy).
+ *
+ * The interpreter instance is shared by all hooks of a type. For every call
+ * a run object is derived from it (see `prepare`), which holds the state of
+ * this call (arguments, context, taps and interceptors).
+ */
+class HookInterpreter {
+	constructor(config) {
+		this.config = config;
+		this.options = undefined;
+		this._args = undefined;
+		this._context = undefined;
+		this._x = undefined;
+		this._taps = undefined;
+		this._interceptors = undefined;
+		this._hook = undefined;
+		this._signal = undefined;
+		this._callConcurrency = undefined;
+		this._abort = undefined;
+		this._profiler = undefined;
+		this._profileCall = undefined;
+	}
+
+	create(options) {
+		const interpreter = this;
+		switch (options.type) {
+			case "sync":
+				return function() {
+					const run = interpreter.prepare(this, options, arguments);
+					let result;
+					run.contentWithProfiler({
+						onError: err => {
+							throw err;
+						},
+						onResult: value => {
+							result = value;
+						},
+						resultReturns: true,
+						onDone: () => {},
+						rethrowIfPossible: true
+					});
+					return result;
+				};
+			case "async":
+				return function() {
+					const run = interpreter.prepare(this, options, arguments);
+					const _callback =
+						arguments[
+							options.args.length +
+								(options.signal || options.callConcurrency ? 1 : 0)
+						];
+					run.contentWithProfiler({
+						onError: err => _callback(err),
+						onResult: result => _callback(null, result),
+						onDone: () => _callback()
+					});
+				};
+			case "promise":
+				return function() {
+					const run = interpreter.prepare(this, options, arguments);
+					return new Promise((_resolve, _reject) => {
+						let _sync = true;
+						const _error = err => {
+							if (_sync)
+								_resolve(
+									Promise.resolve().then(() => {
+										throw err;
+									})
+								);
+							else _reject(err);
+						};
+						run.contentWithProfiler({
+							onError: _error,
+							onResult: result => _resolve(result),
+							onDone: () => _resolve()
+						});
+						_sync = false;
+					});
+				};
+		}
+	}
+
+	setup(instance, options) {
+		instance._x = options.taps.map(t => t.fn);
+	}
+
+	/**
+	 * @param {Hook} instance the hook which is called
+	 * @param {{ type: "sync" | "promise" | "async", taps: Array<Tap>, interceptors: Array<Interceptor> }} options
+	 * @param {ArrayLike<any>} args the arguments of the call, prefixed with the signal or the concurrency of such calls
+	 * @returns {HookInterpreter} run object for this call
+	 */
+	prepare(instance, options, args) {
+		const run = Object.create(this);
+		const offset = options.signal || options.callConcurrency ? 1 : 0;
+		run.options = options;
+		run._args = new Array(options.args.length);
+		for (let i = 0; i < run._args.length; i++) {
+			run._args[i] = args[i + offset];
+		}
+		if (options.signal) {
+			run._signal = args[0];
+		} else if (options.callConcurrency) {
+			run._callConcurrency = args[0];
+		}
+		run._context = run.needContext() ? {} : undefined;
+		run._x = instance._x;
+		if (run.needTaps()) {
+			run._taps = options.activeTaps ? instance._activeTaps : instance.taps;
+		}
+		if (options.interceptors.length > 0) {
+			run._interceptors = instance.interceptors;
+		}
+		if (
+			options.errors ||
+			options.signal ||
+			options.concurrency ||
+			options.bail ||
+			options.defaultResult ||
+			options.maxIterations ||
+			run.needTimers() ||
+			options.taps.some(t => t.once) ||
+			options.latch
+		) {
+			run._hook = instance;
+		}
+		if (options.latch) {
+			instance._latchCall(run._args.slice());
+		}
+		if (options.profile) {
+			run._profiler = instance._profiler;
+			run._profileCall = run._profiler.callStart(
+				instance,
+				CALL_MODES[options.type]
+			);
+		}
+		return run;
+	}
+
+	contentWithProfiler(options) {
+		if (!this.options.profile) return this.contentWithInterceptors(options);
+		if (this.options.type === "sync") {
+			try {
+				return this.contentWithInterceptors(options);
+			} finally {
+				this._profiler.callEnd(this._profileCall);
+			}
+		}
+		const onError = options.onError;
+		const onResult = options.onResult;
+		const onDone = options.onDone;
+		return this.contentWithInterceptors(
+			Object.assign(options, {
+				onError:
+					onError &&
+					(err => {
+						this._profiler.callEnd(this._profileCall);
+						onError(err);
+					}),
+				onResult:
+					onResult &&
+					(result => {
+						this._profiler.callEnd(this._profileCall);
+						onResult(result);
+					}),
+				onDone:
+					onDone &&
+					(() => {
+						this._profiler.callEnd(this._profileCall);
+						onDone();
+					})
+			})
+		);
+	}
+
+	contentWithInterceptors(options) {
+		if (this.options.interceptors.length > 0) {
+			const onError = options.onError;
+			const onResult = options.onResult;
+			const onDone = options.onDone;
+			for (let i = 0; i < this.options.interceptors.length; i++) {
+				const interceptor = this.options.interceptors[i];
+				if (interceptor.call) {
+					this.getInterceptor(i).call(
+						...this.args({
+							context: interceptor.context
+						})
+					);
+				}
+			}
+			return this.contentWithSignal(
+				Object.assign(options, {
+					onError:
+						onError &&
+						(err => {
+							for (let i = 0; i < this.options.interceptors.length; i++) {
+								const interceptor = this.options.interceptors[i];
+								if (interceptor.error) {
+									this.getInterceptor(i).error(err);
+								}
+							}
+							onError(err);
+						}),
+					onResult:
+						onResult &&
+						(result => {
+							for (let i = 0; i < this.options.interceptors.length; i++) {
+								const interceptor = this.options.interceptors[i];
+								if (interceptor.result) {
+									this.getInterceptor(i).result(result);
+								}
+							}
+							onResult(result);
+						}),
+					onDone:
+						onDone &&
+						(() => {
+							for (let i = 0; i < this.options.interceptors.length; i++) {
+								const interceptor = this.options.interceptors[i];
+								if (interceptor.done) {
+									this.getInterceptor(i).done();
+								}
+							}
+							onDone();
+						})
+				})
+			);
+		} else {
+			return this.contentWithSignal(options);
+		}
+	}
+
+	contentWithSignal(options) {
+		if (!this.options.signal) return this.content(options);
+		const onError = options.onError;
+		const onResult = options.onResult;
+		const onDone = options.onDone;
+		const signal = this._signal;
+		let settled = false;
+		const settle = fn => {
+			if (!settled) {
+				settled = true;
+				signal.removeEventListener("abort", this._abort);
+				fn();
+			}
+		};
+		this._abort = () => {
+			if (settled) return;
+			const abortError = this._hook._abortError(signal);
+			for (let i = 0; i < this.options.interceptors.length; i++) {
+				const interceptor = this.options.interceptors[i];
+				if (interceptor.abort) {
+					this.getInterceptor(i).abort(abortError);
+				}
+			}
+			settle(() => onError(abortError));
+		};
+		if (signal.aborted) {
+			this._abort();
+		} else {
+			signal.addEventListener("abort", this._abort);
+			this.content(
+				Object.assign(options, {
+					onError: onError && (err => settle(() => onError(err))),
+					onResult: onResult && (result => settle(() => onResult(result))),
+					onDone: onDone && (() => settle(() => onDone()))
+				})
+			);
+		}
+	}
+
+	needTaps() {
+		return (
+			this.options.interceptors.length > 0 ||
+			!!this.options.profile ||
+			!!this.options.errors ||
+			this.needTimers()
+		);
+	}
+
+	needTimers() {
+		for (const tap of this.options.taps) if (this.tapTimers(tap)) return true;
+		return false;
+	}
+
+	tapTimers(tap) {
+		if (tap.type === "sync") return undefined;
+		const timeout =
+			tap.timeout !== undefined ? tap.timeout : this.options.timeout;
+		const warnAfter =
+			tap.warnAfter !== undefined ? tap.warnAfter : this.options.warnAfter;
+		const hasTimeout = timeout !== undefined && timeout !== Infinity;
+		const hasWarnAfter = warnAfter !== undefined && warnAfter !== Infinity;
+		if (!hasTimeout && !hasWarnAfter) return undefined;
+		return {
+			timeout: hasTimeout ? timeout : 0,
+			warnAfter: hasWarnAfter ? warnAfter : 0
+		};
+	}
+
+	needContext() {
+		for (const tap of this.options.taps) if (tap.context) return true;
+		return false;
+	}
+
+	callTap(tapIndex, options) {
+		if (this.options.signal && this._signal.aborted) {
+			this._abort();
+		} else {
+			this.callTapUnlessSkipped(tapIndex, options);
+		}
+	}
+
+	callTapUnlessSkipped(tapIndex, options) {
+		const tap = this.options.taps[tapIndex];
+		if (
+			(tap.when === undefined || tap.when(...this._args)) &&
+			(!tap.once || this._hook._callOnce(tap))
+		) {
+			this.callTapUnlessAborted(tapIndex, options);
+		} else {
+			this.skipTap(tapIndex, options);
+		}
+	}
+
+	skipTap(tapIndex, { onResult, onDone, onSkip }) {
+		for (let i = 0; i < this.options.interceptors.length; i++) {
+			const interceptor = this.options.interceptors[i];
+			if (interceptor.skip) {
+				if (interceptor.context) {
+					this.getInterceptor(i).skip(this._context, this.getTap(tapIndex));
+				} else {
+					this.getInterceptor(i).skip(this.getTap(tapIndex));
+				}
+			}
+		}
+		if (onSkip) onSkip();
+		else if (onResult) onResult(undefined);
+		else if (onDone) onDone();
+	}
+
+	callTapUnlessAborted(
+		tapIndex,
+		{
+			onError,
+			onResult,
+			onDone,
+			rethrowIfPossible,
+			extraArgs,
+			isForwardedError
+		}
+	) {
+		for (let i = 0; i < this.options.interceptors.length; i++) {
+			const interceptor = this.options.interceptors[i];
+			if (interceptor.tap) {
+				if (interceptor.context) {
+					this.getInterceptor(i).tap(this._context, this.getTap(tapIndex));
+				} else {
+					this.getInterceptor(i).tap(this.getTap(tapIndex));
+				}
+			}
+		}
+		const fn = this.getTapFn(tapIndex);
+		const tap = this.options.taps[tapIndex];
+		const profileTap = this.options.profile
+			? this._profiler.tapStart(this._profileCall, this.getTap(tapIndex))
+			: undefined;
+		const profileEnd = () => {
+			if (profileTap !== undefined) this._profiler.tapEnd(profileTap);
+		};
+		const wrapError = err =>
+			this.options.errors
+				? this._hook._tapError(
+						err,
+						this.getTap(tapIndex),
+						CALL_MODES[this.options.type]
+				  )
+				: err;
+		const tapError = err => {
+			this.tapEvent(tapIndex, "tapError", err);
+			return err;
+		};
+		const reportError = err =>
+			isForwardedError && isForwardedError(err)
+				? err
+				: tapError(wrapError(err));
+		const timers = this.tapTimers(tap);
+		let finished = false;
+		let stopTimer;
+		const startTimer = () =>
+			this._hook._startTapTimer(
+				this.getTap(tapIndex),
+				timers.timeout,
+				timers.warnAfter,
+				err => {
+					finished = true;
+					profileEnd();
+					onError(tapError(err));
+				}
+			);
+		const finish = () => {
+			if (finished) return false;
+			finished = true;
+			if (stopTimer) stopTimer();
+			return true;
+		};
+		switch (tap.type) {
+			case "sync": {
+				const callFn = () => {
+					try {
+						return fn(
+							...this.args({
+								context: tap.context,
+								signal: tap.signal,
+								extra: extraArgs
+							})
+						);
+					} finally {
+						profileEnd();
+					}
+				};
+				let result;
+				if (rethrowIfPossible) {
+					if (this.options.errors || this.hasTapEvent("tapError")) {
+						try {
+							result = callFn();
+						} catch (err) {
+							throw reportError(err);
+						}
+					} else {
+						result = callFn();
+					}
+				} else {
+					try {
+						result = callFn();
+					} catch (err) {
+						onError(reportError(err));
+						return;
+					}
+				}
+				this.tapSucceeded(tapIndex, result);
+				if (onResult) {
+					onResult(result);
+				}
+				if (onDone) {
+					onDone();
+				}
+				break;
+			}
+			case "async":
+				fn(
+					...this.args({
+						context: tap.context,
+						signal: tap.signal,
+						extra: extraArgs,
+						after: (err, result) => {
+							if (timers && !finish()) return;
+							profileEnd();
+							if (err) {
+								onError(reportError(err));
+							} else {
+								this.tapSucceeded(tapIndex, result);
+								if (onResult) {
+									onResult(result);
+								}
+								if (onDone) {
+									onDone();
+								}
+							}
+						}
+					})
+				);
+				if (timers && !finished) stopTimer = startTimer();
+				break;
+			case "promise": {
+				let hasResult = false;
+				const promise = fn(
+					...this.args({
+						context: tap.context,
+						signal: tap.signal,
+						extra: extraArgs
+					})
+				);
+				if (!promise || !promise.then)
+					throw new Error(
+						"Tap function (tapPromise) did not return promise (returned " +
+							promise +
+							")"
+					);
+				if (timers) stopTimer = startTimer();
+				promise.then(
+					result => {
+						if (timers && !finish()) return;
+						profileEnd();
+						hasResult = true;
+						this.tapSucceeded(tapIndex, result);
+						if (onResult) {
+							onResult(result);
+						}
+						if (onDone) {
+							onDone();
+						}
+					},
+					err => {
+						if (hasResult) throw err;
+						if (timers && !finish()) return;
+						profileEnd();
+						onError(reportError(err));
+					}
+				);
+				break;
+			}
+		}
+	}
+
+	hasTapEvent(event) {
+		return this.options.interceptors.some(interceptor => interceptor[event]);
+	}
+
+	tapEvent(tapIndex, event, ...values) {
+		for (let i = 0; i < this.options.interceptors.length; i++) {
+			const interceptor = this.options.interceptors[i];
+			if (interceptor[event]) {
+				if (interceptor.context) {
+					this.getInterceptor(i)[event](
+						this._context,
+						this.getTap(tapIndex),
+						...values
+					);
+				} else {
+					this.getInterceptor(i)[event](this.getTap(tapIndex), ...values);
+				}
+			}
+		}
+	}
+
+	tapSucceeded(tapIndex, result) {
+		this.tapEvent(tapIndex, "tapResult", result);
+		this.tapEvent(tapIndex, "tapDone");
+	}
+
+	callTapsSeries({ onError, onResult, onDone, rethrowIfPossible }) {
+		const taps = this.options.taps;
+		if (taps.length === 0) return onDone();
+		const firstAsync = taps.findIndex(t => t.type !== "sync");
+		// Taps which complete synchronously continue in the loop below instead
+		// of recursing, so the stack doesn't grow with the number of taps
+		let running = false;
+		let pending = -1;
+		const next = index => {
+			if (running) {
+				pending = index;
+				return;
+			}
+			running = true;
+			try {
+				while (index >= 0) {
+					pending = -1;
+					runTap(index);
+					index = pending;
+				}
+			} finally {
+				running = false;
+			}
+		};
+		const doneBreak = skipDone => {
+			if (!skipDone) onDone();
+		};
+		const runTap = i => {
+			if (i === taps.length) {
+				onDone();
+				return;
+			}
+			const done = () => next(i + 1);
+			this.callTap(i, {
+				onError: error => onError(i, error, done, doneBreak),
+				onResult:
+					onResult &&
+					(result => {
+						onResult(i, result, done, doneBreak);
+					}),
+				onDone: !onResult && done,
+				rethrowIfPossible:
+					rethrowIfPossible && (firstAsync < 0 || i < firstAsync)
+			});
+		};
+		next(0);
+	}
+
+	callTapsLooping({ onError, onDone, rethrowIfPossible }) {
+		if (this.options.taps.length === 0) return onDone();
+		const syncOnly = this.options.taps.every(t => t.type === "sync");
+		const maxIterations = this.options.maxIterations;
+		let iteration = 0;
+		const looper = () => {
+			let loopAsync = false;
+			let loop;
+			do {
+				loop = false;
+				iteration++;
+				for (let i = 0; i < this.options.interceptors.length; i++) {
+					const interceptor = this.options.interceptors[i];
+					if (interceptor.loop) {
+						this.getInterceptor(i).loop(
+							...this.args({
+								context: interceptor.context,
+								after: iteration
+							})
+						);
+					}
+				}
+				this.callTapsSeries({
+					onError,
+					onResult: (i, result, next, doneBreak) => {
+						if (result !== undefined) {
+							if (maxIterations && iteration >= maxIterations) {
+								onError(
+									i,
+									this._hook._loopLimitError(this.options.taps[i].name),
+									next,
+									doneBreak
+								);
+								return;
+							}
+							loop = true;
+							if (!syncOnly && loopAsync) looper();
+							doneBreak(true);
+						} else {
+							next();
+						}
+					},
+					onDone:
+						onDone &&
+						(() => {
+							if (!loop) {
+								onDone();
+							}
+						}),
+					rethrowIfPossible: rethrowIfPossible && syncOnly
+				});
+			} while (loop);
+			loopAsync = true;
+		};
+		looper();
+	}
+
+	callTapsParallel({
+		onError,
+		onResult,
+		onDone,
+		rethrowIfPossible,
+		onTap = (i, run) => run()
+	}) {
+		if (this.options.taps.length <= 1) {
+			return this.callTapsSeries({
+				onError,
+				onResult,
+				onDone,
+				rethrowIfPossible
+			});
+		}
+		if (this.options.concurrency) {
+			return this.callTapsParallelLimited({
+				onError,
+				onResult,
+				onDone,
+				rethrowIfPossible,
+				onTap
+			});
+		}
+		let counter = this.options.taps.length;
+		const done = () => {
+			if (--counter === 0 && onDone) onDone();
+		};
+		const doneBreak = skipDone => {
+			counter = 0;
+			if (!skipDone && onDone) onDone();
+		};
+		for (let i = 0; i < this.options.taps.length; i++) {
+			if (counter <= 0) break;
+			onTap(
+				i,
+				() =>
+					this.callTap(i, {
+						onError: error => {
+							if (counter > 0) {
+								onError(i, error, done, doneBreak);
+							}
+						},
+						onResult:
+							onResult &&
+							(result => {
+								if (counter > 0) {
+									onResult(i, result, done, doneBreak);
+								}
+							}),
+						onDone: !onResult && done,
+						rethrowIfPossible
+					}),
+				done,
+				doneBreak
+			);
+		}
+	}
+
+	callTapsParallelLimited({
+		onError,
+		onResult,
+		onDone,
+		rethrowIfPossible,
+		onTap
+	}) {
+		const count = this.options.taps.length;
+		const concurrency = this.options.callConcurrency
+			? this._callConcurrency
+			: this._hook._options.concurrency;
+		let counter = count;
+		let running = 0;
+		let next = 0;
+		let scheduling = false;
+		const schedule = () => {
+			// taps completing synchronously continue in the running loop
+			// instead of starting the next tap recursively
+			if (scheduling) return;
+			scheduling = true;
+			while (counter > 0 && next < count && running < concurrency) {
+				running++;
+				run(next++);
+			}
+			scheduling = false;
+		};
+		const done = () => {
+			running--;
+			if (--counter === 0) {
+				if (onDone) onDone();
+			} else {
+				schedule();
+			}
+		};
+		const doneBreak = skipDone => {
+			counter = 0;
+			if (!skipDone && onDone) onDone();
+		};
+		const run = i =>
+			onTap(
+				i,
+				() =>
+					this.callTap(i, {
+						onError: error => {
+							if (counter > 0) {
+								onError(i, error, done, doneBreak);
+							}
+						},
+						onResult:
+							onResult &&
+							(result => {
+								if (counter > 0) {
+									onResult(i, result, done, doneBreak);
+								}
+							}),
+						onDone: !onResult && done,
+						rethrowIfPossible
+					}),
+				done,
+				doneBreak
+			);
+		schedule();
+	}
+
+	shouldBail(result) {
+		return this.options.bail
+			? !!this._hook._options.bail(result)
+			: result !== undefined;
+	}
+
+	defaultResult() {
+		return this._hook._options.defaultResult;
+	}
+
+	waterfallArgs() {
+		const { args, waterfall } = this.options;
+		if (waterfall === true) return args.map((name, i) => i);
+		return waterfall.map(name => args.indexOf(name));
+	}
+
+	waterfallUpdate(result) {
+		if (result === undefined) return;
+		if (!this.options.waterfall) {
+			this._args[0] = result;
+			return;
+		}
+		// other values than tuples and objects keep the threaded arguments
+		if (typeof result !== "object" || result === null) return;
+		const isTuple = Array.isArray(result);
+		this.waterfallArgs().forEach((argIndex, i) => {
+			const value = isTuple ? result[i] : result[this.options.args[argIndex]];
+			if (value !== undefined) this._args[argIndex] = value;
+		});
+	}
+
+	waterfallResult() {
+		if (!this.options.waterfall) return this._args[0];
+		return this.waterfallArgs().map(argIndex => this._args[argIndex]);
+	}
+
+	collectResult(results, tapIndex, result) {
+		results[tapIndex] = this.options.withNames
+			? { name: this.options.taps[tapIndex].name, value: result }
+			: result;
+	}
+
+	tapSignal() {
+		return this._signal;
+	}
+
+	args({ context, signal, extra, after } = {}) {
+		let allArgs = this._args;
+		if (signal) allArgs = [this.tapSignal()].concat(allArgs);
+		if (context) allArgs = [this._context].concat(allArgs);
+		if (extra) allArgs = allArgs.concat(extra);
+		if (after) allArgs = allArgs.concat([after]);
+		return allArgs;
+	}
+
+	getTapFn(idx) {
+		return this._x[idx];
+	}
+
+	getTap(idx) {
+		return this._taps[idx];
+	}
+
+	getInterceptor(idx) {
+		return this._interceptors[idx];
+	}
+}
+
+module.exports = HookInterpreter;
@@ -5,6 +5,7 @@
 "use strict";
 
 const util = require("util");
+const { validateSealMode, checkSealed } = require("./seal");
 
 const defaultFactory = (key, hook) => hook;
 
@@ -14,6 +15,7 @@ class HookMap {
 		this.name = name;
 		this._factory = factory;
 		this._interceptors = [];
+		this._sealed = undefined;
 	}
 
 	get(key) {
@@ -25,16 +27,46 @@ class HookMap {
 		if (hook !== undefined) {
 			return hook;
 		}
+		this._checkSealed(`create hook for key "${String(key)}" in`);
 		let newHook = this._factory(key);
 		const interceptors = this._interceptors;
 		for (let i = 0; i < interceptors.length; i++) {
 			newHook = interceptors[i].factory(key, newHook);
 		}
+		if (this._sealed !== undefined) newHook.seal(this._sealed);
 		this._map.set(key, newHook);
 		return newHook;
 	}
 
+	/**
+	 * Seals all hooks of the map and forbids creating hooks for new keys.
+	 * @param {"throw" | "warn"} mode how additions are reported
+	 * @returns {void}
+	 */
+	seal(mode = "throw") {
+		validateSealMode(mode);
+		for (const hook of this._map.values()) {
+			hook.seal(mode);
+		}
+		this._sealed = mode;
+	}
+
+	isSealed() {
+		return this._sealed !== undefined;
+	}
+
+	_checkSealed(action) {
+		if (this._sealed === undefined) return;
+		checkSealed(
+			this._sealed,
+			`Can't ${action} sealed HookMap ${
+				this.name !== undefined ? `"${this.name}"` : "(unnamed)"
+			}`
+		);
+	}
+
 	intercept(interceptor) {
+		this._checkSealed("add an interceptor to");
 		this._interceptors.push(
 			Object.assign(
 				{
@@ -0,0 +1,250 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const Hook = require("./Hook");
+const HookMap = require("./HookMap");
+const MultiHook = require("./MultiHook");
+
+const defaultNow =
+	typeof performance !== "undefined" && typeof performance.now === "function"
+		? () => performance.now()
+		: typeof process !== "undefined" && typeof process.hrtime === "function"
+		? () => {
+				const time = process.hrtime();
+				return time[0] * 1e3 + time[1] / 1e6;
+		  }
+		: () => Date.now();
+
+/**
+ * Records the duration of every call of the attached hooks and of every tap
+ * invoked by these calls. Async taps are measured until their callback is
+ * called or their promise settles.
+ */
+class HookProfiler {
+	/**
+	 * @param {{ now?: () => number }=} options `now` returns the current time in milliseconds
+	 */
+	constructor(options = {}) {
+		this._now = options.now || defaultNow;
+		this._hooks = new Map();
+		// HookMaps whose new hooks are profiled
+		this._hookMaps = new Set();
+		this._nextId = 1;
+		this.entries = [];
+	}
+
+	/**
+	 * @param {Hook | HookMap | MultiHook} hook the hook to profile
+	 * @param {string=} name name used for the hook in the results
+	 * @returns {void}
+	 */
+	attach(hook, name = undefined) {
+		if (hook instanceof HookMap) {
+			const mapName = name || hook.name || "HookMap";
+			const keyName = key => `${mapName}[${String(key)}]`;
+			for (const [key, keyHook] of hook._map) {
+				this._attachHook(keyHook, keyHook.name || keyName(key));
+			}
+			if (this._hookMaps.has(hook)) return;
+			this._hookMaps.add(hook);
+			hook.intercept({
+				factory: (key, keyHook) => {
+					if (this._hookMaps.has(hook)) {
+						this._attachHook(keyHook, keyHook.name || keyName(key));
+					}
+					return keyHook;
+				}
+			});
+		} else if (hook instanceof MultiHook) {
+			for (const innerHook of hook.hooks) {
+				this.attach(innerHook);
+			}
+		} else if (hook instanceof Hook) {
+			this._attachHook(hook, name || hook.name);
+		} else {
+			throw new Error("Only Hook, HookMap and MultiHook can be profiled");
+		}
+	}
+
+	_attachHook(hook, name) {
+		if (hook._profiler !== undefined && hook._profiler !== this) {
+			throw new Error(
+				`Hook ${name || "(unnamed)"} is already attached to another profiler`
+			);
+		}
+		this._hooks.set(hook, name || "(unnamed)");
+		hook._profiler = this;
+		hook._resetCompilation();
+	}
+
+	/**
+	 * Stops profiling all attached hooks. Recorded entries are kept.
+	 * @returns {void}
+	 */
+	detach() {
+		this._hookMaps.clear();
+		for (const hook of this._hooks.keys()) {
+			hook._profiler = undefined;
+			hook._resetCompilation();
+		}
+		this._hooks.clear();
+	}
+
+	/**
+	 * Removes all recorded entries.
+	 * @returns {void}
+	 */
+	clear() {
+		this.entries.length = 0;
+	}
+
+	callStart(hook, mode) {
+		const entry = {
+			id: this._nextId++,
+			kind: "call",
+			hook: this._hooks.get(hook) || hook.name || "(unnamed)",
+			name: mode,
+			type: mode === "call" ? "sync" : mode === "callAsync" ? "async" : mode,
+			call: undefined,
+			start: this._now(),
+			end: undefined
+		};
+		this.entries.push(entry);
+		return entry;
+	}
+
+	callEnd(entry) {
+		if (entry.end === undefined) entry.end = this._now();
+	}
+
+	tapStart(call, tap) {
+		const entry = {
+			id: this._nextId++,
+			kind: "tap",
+			hook: call.hook,
+			name: tap.name,
+			type: tap.type,
+			call: call.id,
+			start: this._now(),
+			end: undefined
+		};
+		this.entries.push(entry);
+		return entry;
+	}
+
+	tapEnd(entry) {
+		if (entry.end === undefined) entry.end = this._now();
+	}
+
+	/**
+	 * Creates a trace in the Chrome trace event format, which can be loaded in
+	 * the performance panel of the Chrome DevTools or in about:tracing.
+	 * Synchronous work is exported as complete events, asynchronous work as
+	 * async begin/end events. Unfinished entries are omitted.
+	 * @returns {{ traceEvents: object[], displayTimeUnit: string }} the trace
+	 */
+	toChromeTrace() {
+		const traceEvents = [];
+		for (const entry of this.entries) {
+			if (entry.end === undefined) continue;
+			const name =
+				entry.kind === "call" ? `${entry.hook}.${entry.name}` : entry.name;
+			const args = {
+				hook: entry.hook,
+				type: entry.type
+			};
+			if (entry.call !== undefined) args.call = entry.call;
+			const ts = Math.round(entry.start * 1000);
+			if (entry.type === "sync") {
+				traceEvents.push({
+					name,
+					cat: entry.kind,
+					ph: "X",
+					ts,
+					dur: Math.round((entry.end - entry.start) * 1000),
+					pid: 1,
+					tid: 1,
+					args
+				});
+			} else {
+				const id = entry.id;
+				traceEvents.push({
+					name,
+					cat: entry.kind,
+					ph: "b",
+					id,
+					ts,
+					pid: 1,
+					tid: 1,
+					args
+				});
+				traceEvents.push({
+					name,
+					cat: entry.kind,
+					ph: "e",
+					id,
+					ts: Math.round(entry.end * 1000),
+					pid: 1,
+					tid: 1
+				});
+			}
+		}
+		traceEvents.sort((a, b) => a.ts - b.ts);
+		return {
+			traceEvents,
+			displayTimeUnit: "ms"
+		};
+	}
+
+	/**
+	 * Summarizes the recorded taps per hook. Hooks are ordered by the total
+	 * time spent in their taps and taps by their total time within a hook.
+	 * @param {{ limit?: number }=} options `limit` is the maximum number of taps per hook
+	 * @returns {{ hook: string, tap: string, type: string, calls: number, total: number, average: number, max: number }[]} one row per tap
+	 */
+	summary({ limit = Infinity } = {}) {
+		const hooks = new Map();
+		for (const entry of this.entries) {
+			if (entry.kind !== "tap" || entry.end === undefined) continue;
+			let taps = hooks.get(entry.hook);
+			if (taps === undefined) {
+				taps = new Map();
+				hooks.set(entry.hook, taps);
+			}
+			const key = `${entry.type}|${entry.name}`;
+			let row = taps.get(key);
+			if (row === undefined) {
+				row = {
+					hook: entry.hook,
+					tap: entry.name,
+					type: entry.type,
+					calls: 0,
+					total: 0,
+					average: 0,
+					max: 0
+				};
+				taps.set(key, row);
+			}
+			const duration = entry.end - entry.start;
+			row.calls++;
+			row.total += duration;
+			row.average = row.total / row.calls;
+			if (duration > row.max) row.max = duration;
+		}
+		const groups = Array.from(hooks.values(), taps =>
+			Array.from(taps.values()).sort((a, b) => b.total - a.total)
+		);
+		const groupTotal = rows => rows.reduce((sum, row) => sum + row.total, 0);
+		groups.sort((a, b) => groupTotal(b) - groupTotal(a));
+		const rows = [];
+		for (const group of groups) {
+			rows.push(...group.slice(0, limit));
+		}
+		return rows;
+	}
+}
+
+module.exports = HookProfiler;
@@ -6,6 +6,14 @@
 
 const Hook = require("./Hook");
 
+const createDisposer = disposers => () => {
+	let removed = false;
+	for (const dispose of disposers) {
+		if (typeof dispose === "function" && dispose()) removed = true;
+	}
+	return removed;
+};
+
 class MultiHook {
 	constructor(hooks, name = undefined) {
 		this.hooks = hooks;
@@ -13,21 +21,68 @@ class MultiHook {
 	}
 
 	tap(options, fn) {
+		return createDisposer(this.hooks.map(hook => hook.tap(options, fn)));
+	}
+
+	tapAsync(options, fn) {
+		return createDisposer(this.hooks.map(hook => hook.tapAsync(options, fn)));
+	}
+
+	tapPromise(options, fn) {
+		return createDisposer(this.hooks.map(hook => hook.tapPromise(options, fn)));
+	}
+
+	tapOnce(options, fn) {
+		return createDisposer(this.hooks.map(hook => hook.tapOnce(options, fn)));
+	}
+
+	tapAsyncOnce(options, fn) {
+		return createDisposer(
+			this.hooks.map(hook => hook.tapAsyncOnce(options, fn))
+		);
+	}
+
+	tapPromiseOnce(options, fn) {
+		return createDisposer(
+			this.hooks.map(hook => hook.tapPromiseOnce(options, fn))
+		);
+	}
+
+	untap(tap) {
+		let removed = false;
 		for (const hook of this.hooks) {
-			hook.tap(options, fn);
+			if (hook.untap(tap)) removed = true;
 		}
+		return removed;
 	}
 
-	tapAsync(options, fn) {
+	disableTap(tap) {
+		let found = false;
 		for (const hook of this.hooks) {
-			hook.tapAsync(options, fn);
+			if (hook.disableTap(tap)) found = true;
 		}
+		return found;
 	}
 
-	tapPromise(options, fn) {
+	enableTap(tap) {
+		let found = false;
 		for (const hook of this.hooks) {
-			hook.tapPromise(options, fn);
+			if (hook.enableTap(tap)) found = true;
 		}
+		return found;
+	}
+
+	seal(mode) {
+		for (const hook of this.hooks) {
+			hook.seal(mode);
+		}
+	}
+
+	isSealed() {
+		for (const hook of this.hooks) {
+			if (!hook.isSealed()) return false;
+		}
+		return true;
 	}
 
 	isUsed() {
@@ -38,9 +93,14 @@ class MultiHook {
 	}
 
 	intercept(interceptor) {
-		for (const hook of this.hooks) {
-			hook.intercept(interceptor);
-		}
+		const disposers = this.hooks.map(hook => hook.intercept(interceptor));
+		return () => {
+			let removed = false;
+			for (const dispose of disposers) {
+				if (dispose()) removed = true;
+			}
+			return removed;
+		};
 	}
 
 	withOptions(options) {
@@ -6,23 +6,46 @@
 
 const Hook = require("./Hook");
 const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
 
 class SyncBailHookCodeFactory extends HookCodeFactory {
 	content({ onError, onResult, resultReturns, onDone, rethrowIfPossible }) {
 		return this.callTapsSeries({
 			onError: (i, err) => onError(err),
 			onResult: (i, result, next) =>
-				`if(${result} !== undefined) {\n${onResult(
+				`if(${this.shouldBail(result)}) {\n${onResult(
 					result
 				)};\n} else {\n${next()}}\n`,
 			resultReturns,
-			onDone,
+			onDone: this.options.defaultResult
+				? () => onResult(this.defaultResult())
+				: onDone,
+			rethrowIfPossible
+		});
+	}
+}
+
+class SyncBailHookInterpreter extends HookInterpreter {
+	content({ onError, onResult, onDone, rethrowIfPossible }) {
+		return this.callTapsSeries({
+			onError: (i, err) => onError(err),
+			onResult: (i, result, next) => {
+				if (this.shouldBail(result)) {
+					onResult(result);
+				} else {
+					next();
+				}
+			},
+			onDone: this.options.defaultResult
+				? () => onResult(this.defaultResult())
+				: onDone,
 			rethrowIfPossible
 		});
 	}
 }
 
 const factory = new SyncBailHookCodeFactory();
+const interpreter = new SyncBailHookInterpreter();
 
 const TAP_ASYNC = () => {
 	throw new Error("tapAsync is not supported on a SyncBailHook");
@@ -33,13 +56,15 @@ const TAP_PROMISE = () => {
 };
 
 const COMPILE = function(options) {
-	factory.setup(this, options);
-	return factory.create(options);
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
 };
 
-function SyncBailHook(args = [], name = undefined) {
-	const hook = new Hook(args, name);
+function SyncBailHook(args = [], name = undefined, options = undefined) {
+	const hook = new Hook(args, name, options);
 	hook.constructor = SyncBailHook;
+	hook._validateTypeOptions(["bail", "defaultResult"]);
 	hook.tapAsync = TAP_ASYNC;
 	hook.tapPromise = TAP_PROMISE;
 	hook.compile = COMPILE;
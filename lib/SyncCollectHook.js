@@ -0,0 +1,70 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const Hook = require("./Hook");
+const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
+
+class SyncCollectHookCodeFactory extends HookCodeFactory {
+	content({ onError, onResult, resultReturns, rethrowIfPossible }) {
+		let code = "";
+		code += `var _results = new Array(${this.options.taps.length});\n`;
+		code += this.callTapsSeries({
+			onError: (i, err) => onError(err),
+			onResult: (i, result, next) => this.collectResult(i, result) + next(),
+			onDone: () => onResult("_results"),
+			doneReturns: resultReturns,
+			rethrowIfPossible
+		});
+		return code;
+	}
+}
+
+class SyncCollectHookInterpreter extends HookInterpreter {
+	content({ onError, onResult, rethrowIfPossible }) {
+		const results = new Array(this.options.taps.length);
+		return this.callTapsSeries({
+			onError: (i, err) => onError(err),
+			onResult: (i, result, next) => {
+				this.collectResult(results, i, result);
+				next();
+			},
+			onDone: () => onResult(results),
+			rethrowIfPossible
+		});
+	}
+}
+
+const factory = new SyncCollectHookCodeFactory();
+const interpreter = new SyncCollectHookInterpreter();
+
+const TAP_ASYNC = () => {
+	throw new Error("tapAsync is not supported on a SyncCollectHook");
+};
+
+const TAP_PROMISE = () => {
+	throw new Error("tapPromise is not supported on a SyncCollectHook");
+};
+
+const COMPILE = function(options) {
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
+};
+
+function SyncCollectHook(args = [], name = undefined, options = undefined) {
+	const hook = new Hook(args, name, options);
+	hook.constructor = SyncCollectHook;
+	hook._validateTypeOptions(["withNames"]);
+	hook.tapAsync = TAP_ASYNC;
+	hook.tapPromise = TAP_PROMISE;
+	hook.compile = COMPILE;
+	return hook;
+}
+
+SyncCollectHook.prototype = null;
+
+module.exports = SyncCollectHook;
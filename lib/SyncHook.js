@@ -6,6 +6,7 @@
 
 const Hook = require("./Hook");
 const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
 
 class SyncHookCodeFactory extends HookCodeFactory {
 	content({ onError, onDone, rethrowIfPossible }) {
@@ -17,7 +18,18 @@ class SyncHookCodeFactory extends HookCodeFactory {
 	}
 }
 
+class SyncHookInterpreter extends HookInterpreter {
+	content({ onError, onDone, rethrowIfPossible }) {
+		return this.callTapsSeries({
+			onError: (i, err) => onError(err),
+			onDone,
+			rethrowIfPossible
+		});
+	}
+}
+
 const factory = new SyncHookCodeFactory();
+const interpreter = new SyncHookInterpreter();
 
 const TAP_ASYNC = () => {
 	throw new Error("tapAsync is not supported on a SyncHook");
@@ -28,13 +40,15 @@ const TAP_PROMISE = () => {
 };
 
 const COMPILE = function(options) {
-	factory.setup(this, options);
-	return factory.create(options);
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
 };
 
-function SyncHook(args = [], name = undefined) {
-	const hook = new Hook(args, name);
+function SyncHook(args = [], name = undefined, options = undefined) {
+	const hook = new Hook(args, name, options);
 	hook.constructor = SyncHook;
+	hook._validateTypeOptions(["latch"]);
 	hook.tapAsync = TAP_ASYNC;
 	hook.tapPromise = TAP_PROMISE;
 	hook.compile = COMPILE;
@@ -6,6 +6,7 @@
 
 const Hook = require("./Hook");
 const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
 
 class SyncLoopHookCodeFactory extends HookCodeFactory {
 	content({ onError, onDone, rethrowIfPossible }) {
@@ -17,7 +18,18 @@ class SyncLoopHookCodeFactory extends HookCodeFactory {
 	}
 }
 
+class SyncLoopHookInterpreter extends HookInterpreter {
+	content({ onError, onDone, rethrowIfPossible }) {
+		return this.callTapsLooping({
+			onError: (i, err) => onError(err),
+			onDone,
+			rethrowIfPossible
+		});
+	}
+}
+
 const factory = new SyncLoopHookCodeFactory();
+const interpreter = new SyncLoopHookInterpreter();
 
 const TAP_ASYNC = () => {
 	throw new Error("tapAsync is not supported on a SyncLoopHook");
@@ -28,13 +40,15 @@ const TAP_PROMISE = () => {
 };
 
 const COMPILE = function(options) {
-	factory.setup(this, options);
-	return factory.create(options);
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
 };
 
-function SyncLoopHook(args = [], name = undefined) {
-	const hook = new Hook(args, name);
+function SyncLoopHook(args = [], name = undefined, options = undefined) {
+	const hook = new Hook(args, name, options);
 	hook.constructor = SyncLoopHook;
+	hook._validateTypeOptions(["maxIterations"]);
 	hook.tapAsync = TAP_ASYNC;
 	hook.tapPromise = TAP_PROMISE;
 	hook.compile = COMPILE;
@@ -0,0 +1,126 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const Hook = require("./Hook");
+const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
+
+// Errors thrown by `next` were already wrapped and reported by the tap
+// which failed, so they are passed on unchanged by the calling taps.
+const reportsErrors = hookCompiler =>
+	!!hookCompiler.options.errors || hookCompiler.hasTapEvent("tapError");
+
+class SyncMiddlewareHookCodeFactory extends HookCodeFactory {
+	content({ onResult }) {
+		const count = this.options.taps.length;
+		const forwarding = reportsErrors(this);
+		let code = "";
+		if (forwarding) code += "var _middlewareErrors = new Set();\n";
+		for (let i = 0; i < count; i++) {
+			code += `function _dispatch${i}() {\n`;
+			code += `var _nextCalled${i} = false;\n`;
+			code += `var _middlewareNext${i} = (function() {\n`;
+			code += `if(_nextCalled${i}) throw new Error("next() called multiple times");\n`;
+			code += `_nextCalled${i} = true;\n`;
+			if (forwarding) {
+				code += "try {\n";
+				code += `return _dispatch${i + 1}();\n`;
+				code += `} catch(_nextError${i}) {\n`;
+				code += `_middlewareErrors.add(_nextError${i});\n`;
+				code += `throw _nextError${i};\n`;
+				code += "}\n";
+			} else {
+				code += `return _dispatch${i + 1}();\n`;
+			}
+			code += "});\n";
+			code += this.callTap(i, {
+				onError: err => `throw ${err};\n`,
+				onResult: result => `return ${result};\n`,
+				onSkip: () => `return _dispatch${i + 1}();\n`,
+				rethrowIfPossible: true,
+				extraArgs: `_middlewareNext${i}`,
+				isForwardedError: forwarding
+					? err => `_middlewareErrors.has(${err})`
+					: undefined
+			});
+			code += "}\n";
+		}
+		code += `function _dispatch${count}() {}\n`;
+		code += "var _middlewareResult = _dispatch0();\n";
+		code += onResult("_middlewareResult");
+		return code;
+	}
+}
+
+class SyncMiddlewareHookInterpreter extends HookInterpreter {
+	content({ onResult }) {
+		const count = this.options.taps.length;
+		const forwarded = reportsErrors(this) ? new Set() : undefined;
+		const dispatch = i => {
+			if (i === count) return undefined;
+			let nextCalled = false;
+			const next = () => {
+				if (nextCalled) throw new Error("next() called multiple times");
+				nextCalled = true;
+				if (forwarded === undefined) return dispatch(i + 1);
+				try {
+					return dispatch(i + 1);
+				} catch (err) {
+					forwarded.add(err);
+					throw err;
+				}
+			};
+			let result;
+			this.callTap(i, {
+				onError: err => {
+					throw err;
+				},
+				onResult: value => {
+					result = value;
+				},
+				onSkip: () => {
+					result = dispatch(i + 1);
+				},
+				rethrowIfPossible: true,
+				extraArgs: [next],
+				isForwardedError: forwarded && (err => forwarded.has(err))
+			});
+			return result;
+		};
+		onResult(dispatch(0));
+	}
+}
+
+const factory = new SyncMiddlewareHookCodeFactory();
+const interpreter = new SyncMiddlewareHookInterpreter();
+
+const TAP_ASYNC = () => {
+	throw new Error("tapAsync is not supported on a SyncMiddlewareHook");
+};
+
+const TAP_PROMISE = () => {
+	throw new Error("tapPromise is not supported on a SyncMiddlewareHook");
+};
+
+const COMPILE = function(options) {
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
+};
+
+function SyncMiddlewareHook(args = [], name = undefined, options = undefined) {
+	const hook = new Hook(args, name, options);
+	hook.constructor = SyncMiddlewareHook;
+	hook._validateTypeOptions([]);
+	hook.tapAsync = TAP_ASYNC;
+	hook.tapPromise = TAP_PROMISE;
+	hook.compile = COMPILE;
+	return hook;
+}
+
+SyncMiddlewareHook.prototype = null;
+
+module.exports = SyncMiddlewareHook;
@@ -6,27 +6,36 @@
 
 const Hook = require("./Hook");
 const HookCodeFactory = require("./HookCodeFactory");
+const HookInterpreter = require("./HookInterpreter");
 
 class SyncWaterfallHookCodeFactory extends HookCodeFactory {
 	content({ onError, onResult, resultReturns, rethrowIfPossible }) {
+		return this.callTapsSeries({
+			onError: (i, err) => onError(err),
+			onResult: (i, result, next) => this.waterfallUpdate(result) + next(),
+			onDone: () => onResult(this.waterfallResult()),
+			doneReturns: resultReturns,
+			rethrowIfPossible
+		});
+	}
+}
+
+class SyncWaterfallHookInterpreter extends HookInterpreter {
+	content({ onError, onResult, rethrowIfPossible }) {
 		return this.callTapsSeries({
 			onError: (i, err) => onError(err),
 			onResult: (i, result, next) => {
-				let code = "";
-				code += `if(${result} !== undefined) {\n`;
-				code += `${this._args[0]} = ${result};\n`;
-				code += `}\n`;
-				code += next();
-				return code;
+				this.waterfallUpdate(result);
+				next();
 			},
-			onDone: () => onResult(this._args[0]),
-			doneReturns: resultReturns,
+			onDone: () => onResult(this.waterfallResult()),
 			rethrowIfPossible
 		});
 	}
 }
 
 const factory = new SyncWaterfallHookCodeFactory();
+const interpreter = new SyncWaterfallHookInterpreter();
 
 const TAP_ASYNC = () => {
 	throw new Error("tapAsync is not supported on a SyncWaterfallHook");
@@ -37,15 +46,17 @@ const TAP_PROMISE = () => {
 };
 
 const COMPILE = function(options) {
-	factory.setup(this, options);
-	return factory.create(options);
+	const compiler = options.backend === "interpreter" ? interpreter : factory;
+	compiler.setup(this, options);
+	return compiler.create(options);
 };
 
-function SyncWaterfallHook(args = [], name = undefined) {
+function SyncWaterfallHook(args = [], name = undefined, options = undefined) {
 	if (args.length < 1)
 		throw new Error("Waterfall hooks must have at least one argument");
-	const hook = new Hook(args, name);
+	const hook = new Hook(args, name, options);
 	hook.constructor = SyncWaterfallHook;
+	hook._validateTypeOptions(["waterfall"]);
 	hook.tapAsync = TAP_ASYNC;
 	hook.tapPromise = TAP_PROMISE;
 	hook.compile = COMPILE;
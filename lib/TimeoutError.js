@@ -0,0 +1,32 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+/**
+ * Error reported by a hook when an async or promise tap didn't finish within
+ * its `timeout`.
+ */
+class TimeoutError extends Error {
+	/**
+	 * @param {{ hookName: string | undefined, tapName: string, tapType: string, timeout: number }} details the tap which timed out
+	 */
+	constructor(details) {
+		super(
+			`${details.tapType === "async" ? "tapAsync" : "tapPromise"} "${
+				details.tapName
+			}" of hook ${
+				details.hookName !== undefined ? `"${details.hookName}"` : "(unnamed)"
+			} did not finish within ${details.timeout}ms`
+		);
+		this.name = "TimeoutError";
+		this.code = "ETIMEDOUT";
+		this.hookName = details.hookName;
+		this.tapName = details.tapName;
+		this.tapType = details.tapType;
+		this.timeout = details.timeout;
+	}
+}
+
+module.exports = TimeoutError;
@@ -0,0 +1,156 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const AbortError = require("../AbortError");
+const AsyncSeriesHook = require("../AsyncSeriesHook");
+const AsyncParallelHook = require("../AsyncParallelHook");
+const AsyncSeriesWaterfallHook = require("../AsyncSeriesWaterfallHook");
+
+const callAsync = (hook, signal, ...args) =>
+	new Promise(resolve =>
+		hook
+			.withSignal(signal)
+			.callAsync(...args, (err, result) => resolve({ err, result }))
+	);
+
+describe("AbortSignal", () => {
+	it("should reject invalid signals", () => {
+		const hook = new AsyncSeriesHook();
+		expect(() => hook.withSignal()).toThrow("Invalid AbortSignal");
+		expect(() => hook.withSignal({})).toThrow("Invalid AbortSignal");
+	});
+
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should behave like a normal call when not aborted", async () => {
+				const hook = new AsyncSeriesWaterfallHook(["value"], undefined, {
+					backend
+				});
+				hook.tap("A", value => value + 1);
+				hook.tapPromise("B", value => Promise.resolve(value * 2));
+				const controller = new AbortController();
+				expect(await callAsync(hook, controller.signal, 1)).toEqual({
+					err: null,
+					result: 4
+				});
+				expect(await hook.withSignal(controller.signal).promise(2)).toBe(6);
+				expect(await hook.promise(3)).toBe(8);
+			});
+
+			it("should not call any tap when already aborted", async () => {
+				const hook = new AsyncSeriesHook(["a"], undefined, { backend });
+				const tap = jest.fn();
+				hook.tap("A", tap);
+				const reason = new Error("changed");
+				const signal = {
+					aborted: true,
+					reason,
+					addEventListener: jest.fn(),
+					removeEventListener: jest.fn()
+				};
+				const { err } = await callAsync(hook, signal, 1);
+				expect(err).toBeInstanceOf(AbortError);
+				expect(err.name).toBe("AbortError");
+				expect(err.cause).toBe(reason);
+				expect(tap).not.toHaveBeenCalled();
+				expect(signal.addEventListener).not.toHaveBeenCalled();
+			});
+
+			it("should stop scheduling series taps once aborted", async () => {
+				const hook = new AsyncSeriesHook(["a"], undefined, { backend });
+				const controller = new AbortController();
+				const calls = [];
+				let finishB;
+				hook.tap("A", () => calls.push("A"));
+				hook.tapAsync("B", (a, callback) => {
+					calls.push("B");
+					finishB = callback;
+				});
+				hook.tap("C", () => calls.push("C"));
+				const promise = hook.withSignal(controller.signal).promise(1);
+				expect(calls).toEqual(["A", "B"]);
+				controller.abort();
+				await expect(promise).rejects.toBeInstanceOf(AbortError);
+				finishB();
+				expect(calls).toEqual(["A", "B"]);
+			});
+
+			it("should settle parallel calls on abort and ignore late results", async () => {
+				const hook = new AsyncParallelHook(["a"], undefined, { backend });
+				const controller = new AbortController();
+				const callbacks = [];
+				hook.tapAsync("A", (a, callback) => callbacks.push(callback));
+				hook.tapAsync("B", (a, callback) => callbacks.push(callback));
+				const result = jest.fn();
+				hook.withSignal(controller.signal).callAsync(1, result);
+				expect(callbacks.length).toBe(2);
+				controller.abort();
+				expect(result).toHaveBeenCalledTimes(1);
+				expect(result.mock.calls[0][0]).toBeInstanceOf(AbortError);
+				callbacks[0]();
+				callbacks[1](new Error("late"));
+				expect(result).toHaveBeenCalledTimes(1);
+			});
+
+			it("should pass the signal to taps which opt in", async () => {
+				const hook = new AsyncSeriesHook(["a"], undefined, { backend });
+				const controller = new AbortController();
+				const signals = [];
+				hook.tap({ name: "A", signal: true }, (signal, a) => {
+					signals.push(signal, a);
+				});
+				hook.tap({ name: "B", context: true, signal: true }, (ctx, signal, a) =>
+					signals.push(ctx, signal, a)
+				);
+				hook.tap("C", a => signals.push(a));
+				await hook.withSignal(controller.signal).promise(1);
+				expect(signals).toEqual([
+					controller.signal,
+					1,
+					{},
+					controller.signal,
+					1,
+					1
+				]);
+				signals.length = 0;
+				await hook.promise(2);
+				expect(signals).toEqual([undefined, 2, {}, undefined, 2, 2]);
+			});
+
+			it("should notify abort interceptors before error interceptors", async () => {
+				const hook = new AsyncSeriesHook(["a"], undefined, { backend });
+				const controller = new AbortController();
+				const events = [];
+				hook.intercept({
+					abort: err => events.push(["abort", err]),
+					error: err => events.push(["error", err]),
+					done: () => events.push(["done"])
+				});
+				hook.tapAsync("A", (a, callback) => {
+					setTimeout(callback, 10);
+				});
+				const promise = hook.withSignal(controller.signal).promise(1);
+				controller.abort();
+				const err = await promise.catch(err => err);
+				expect(err).toBeInstanceOf(AbortError);
+				expect(events).toEqual([["abort", err], ["error", err]]);
+				await new Promise(resolve => setTimeout(resolve, 20));
+				expect(events).toEqual([["abort", err], ["error", err]]);
+			});
+
+			it("should remove the abort listener when the call settles", async () => {
+				const hook = new AsyncSeriesHook(["a"], undefined, { backend });
+				const controller = new AbortController();
+				const abort = jest.fn();
+				hook.intercept({ abort });
+				hook.tap("A", () => {});
+				await hook.withSignal(controller.signal).promise(1);
+				controller.abort();
+				expect(abort).not.toHaveBeenCalled();
+			});
+		});
+	}
+});
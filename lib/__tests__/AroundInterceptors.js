@@ -0,0 +1,213 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const SyncHook = require("../SyncHook");
+const SyncWaterfallHook = require("../SyncWaterfallHook");
+const AsyncSeriesHook = require("../AsyncSeriesHook");
+const AsyncSeriesBailHook = require("../AsyncSeriesBailHook");
+const AsyncParallelHook = require("../AsyncParallelHook");
+
+describe("around interceptors", () => {
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should wrap sync calls", () => {
+				const hook = new SyncWaterfallHook(["value"], undefined, { backend });
+				const log = [];
+				hook.intercept({
+					around: (args, next) => {
+						log.push(["outer", args]);
+						return `${next([args[0] + 1])}!`;
+					}
+				});
+				hook.intercept({
+					call: value => log.push(["call", value]),
+					around: (args, next) => {
+						log.push(["inner", args]);
+						return next();
+					}
+				});
+				expect(hook.call(1)).toBe("2!");
+				hook.tap("Double", value => value * 2);
+				expect(hook.call(1)).toBe("4!");
+				expect(log).toEqual([
+					["outer", [1]],
+					["inner", [2]],
+					["call", 2],
+					["outer", [1]],
+					["inner", [2]],
+					["call", 2]
+				]);
+			});
+
+			it("should allow to translate and swallow errors", () => {
+				const hook = new SyncHook(["a"], "build", { backend });
+				hook.intercept({
+					around: (args, next) => {
+						try {
+							return next();
+						} catch (err) {
+							if (args[0] === "swallow") return undefined;
+							throw new Error(`build failed: ${err.message}`);
+						}
+					}
+				});
+				hook.tap("Fail", () => {
+					throw new Error("fail");
+				});
+				expect(hook.call("swallow")).toBe(undefined);
+				expect(() => hook.call("translate")).toThrow("build failed: fail");
+			});
+
+			it("should wrap async calls", async () => {
+				const hook = new AsyncSeriesBailHook(["a"], undefined, { backend });
+				const timings = [];
+				hook.intercept({
+					around: async (args, next) => {
+						const start = Date.now();
+						try {
+							return await next();
+						} finally {
+							timings.push(Date.now() - start >= 0);
+						}
+					}
+				});
+				hook.intercept({
+					around: (args, next) =>
+						next(args).then(
+							result => (result === undefined ? "default" : result),
+							err => `recovered from ${err.message}`
+						)
+				});
+				hook.tapAsync("A", (a, callback) =>
+					setTimeout(() => callback(a === 2 ? new Error("two") : null), 1)
+				);
+				hook.tapPromise("B", a =>
+					Promise.resolve(a === 3 ? "three" : undefined)
+				);
+				expect(await hook.promise(1)).toBe("default");
+				expect(await hook.promise(2)).toBe("recovered from two");
+				await new Promise(resolve =>
+					hook.callAsync(3, (err, result) => {
+						expect(err).toBe(null);
+						expect(result).toBe("three");
+						resolve();
+					})
+				);
+				expect(timings).toEqual([true, true, true]);
+			});
+
+			it("should report errors of async around interceptors", done => {
+				const hook = new AsyncParallelHook(["a"], undefined, { backend });
+				hook.intercept({
+					around: () => {
+						throw new Error("around failed");
+					}
+				});
+				const tap = jest.fn();
+				hook.tap("A", tap);
+				hook.callAsync(1, err => {
+					expect(err.message).toBe("around failed");
+					expect(tap).not.toHaveBeenCalled();
+					done();
+				});
+			});
+
+			it("should call callbacks outside of the promise chain", async () => {
+				const hook = new AsyncSeriesHook(["a"], undefined, { backend });
+				hook.intercept({ around: (args, next) => next() });
+				hook.intercept({ aroundTap: (tap, args, next) => next() });
+				hook.tapAsync("A", (a, callback) => callback());
+				const ticks = [];
+				const nextTick = jest
+					.spyOn(process, "nextTick")
+					.mockImplementation(fn => ticks.push(fn));
+				let error;
+				try {
+					hook.callAsync(1, () => {
+						throw new Error("callback failed");
+					});
+					for (let i = 0; i < 5 && error === undefined; i++) {
+						await new Promise(resolve => setTimeout(resolve, 0));
+						while (ticks.length > 0) {
+							try {
+								ticks.shift()();
+							} catch (err) {
+								error = err;
+							}
+						}
+					}
+				} finally {
+					nextTick.mockRestore();
+				}
+				expect(error.message).toBe("callback failed");
+			});
+
+			it("should wrap calls with signal", async () => {
+				const hook = new AsyncSeriesHook(["a"], undefined, { backend });
+				const args = [];
+				hook.intercept({
+					around: (callArgs, next) => {
+						args.push(callArgs);
+						return next();
+					}
+				});
+				hook.tapPromise({ name: "A", signal: true }, (signal, a) => {
+					args.push([typeof signal, a]);
+					return Promise.resolve();
+				});
+				const controller = new AbortController();
+				await hook.withSignal(controller.signal).promise(1);
+				expect(args).toEqual([[1], ["object", 1]]);
+			});
+
+			it("should wrap taps", async () => {
+				const hook = new AsyncSeriesBailHook(["a"], undefined, { backend });
+				const log = [];
+				hook.intercept({
+					aroundTap: (tap, args, next) => {
+						log.push([tap.name, args]);
+						if (tap.name === "Sync") return next([args[0] * 10]);
+						if (tap.name === "Async") {
+							return next().catch(err => `caught ${err.message}`);
+						}
+						return next().then(result => `${result} (wrapped)`);
+					}
+				});
+				hook.tap("Sync", a => (a > 100 ? "sync" : undefined));
+				hook.tapAsync("Async", (a, callback) =>
+					callback(a > 5 ? new Error("async") : null)
+				);
+				hook.tapPromise("Promise", a => Promise.resolve(`promise ${a}`));
+				expect(await hook.promise(1)).toBe("promise 1 (wrapped)");
+				expect(await hook.promise(6)).toBe("caught async");
+				expect(await hook.promise(11)).toBe("sync");
+				expect(log).toEqual([
+					["Sync", [1]],
+					["Async", [1]],
+					["Promise", [1]],
+					["Sync", [6]],
+					["Async", [6]],
+					["Sync", [11]]
+				]);
+			});
+
+			it("should wrap taps of sync hooks", () => {
+				const hook = new SyncHook(["a"], undefined, { backend });
+				const calls = [];
+				hook.intercept({
+					aroundTap: (tap, args, next) => {
+						calls.push(`before ${tap.name}`);
+						next(["changed"]);
+						calls.push(`after ${tap.name}`);
+					}
+				});
+				hook.tap("A", a => calls.push(`A ${a}`));
+				hook.call(1);
+				expect(calls).toEqual(["before A", "A changed", "after A"]);
+			});
+		});
+	}
+});
@@ -0,0 +1,79 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const AsyncParallelSettledHook = require("../AsyncParallelSettledHook");
+
+describe("AsyncParallelSettledHook", () => {
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should report the outcome of every tap in tap order", async () => {
+				const hook = new AsyncParallelSettledHook(["file"], undefined, {
+					backend
+				});
+				const error1 = new Error("sync failure");
+				const error2 = new Error("async failure");
+				hook.tapAsync("Slow", (file, callback) =>
+					setTimeout(() => callback(null, `${file} slow`), 10)
+				);
+				hook.tap("Throws", () => {
+					throw error1;
+				});
+				hook.tapPromise("Rejects", () => Promise.reject(error2));
+				hook.tap("Sync", file => file.length);
+				hook.tapAsync("NoResult", (file, callback) => callback());
+				expect(await hook.promise("a.js")).toEqual([
+					{ name: "Slow", status: "fulfilled", value: "a.js slow" },
+					{ name: "Throws", status: "rejected", reason: error1 },
+					{ name: "Rejects", status: "rejected", reason: error2 },
+					{ name: "Sync", status: "fulfilled", value: 4 },
+					{ name: "NoResult", status: "fulfilled", value: undefined }
+				]);
+			});
+
+			it("should work with callAsync and few taps", done => {
+				const hook = new AsyncParallelSettledHook(["a"], undefined, {
+					backend
+				});
+				hook.callAsync(1, (err, results) => {
+					expect(err).toBe(null);
+					expect(results).toEqual([]);
+					hook.tap("A", a => a + 1);
+					hook.callAsync(1, (err, results) => {
+						expect(err).toBe(null);
+						expect(results).toEqual([
+							{ name: "A", status: "fulfilled", value: 2 }
+						]);
+						done();
+					});
+				});
+			});
+
+			it("should call interceptors", async () => {
+				const hook = new AsyncParallelSettledHook(["a"], undefined, {
+					backend
+				});
+				const events = [];
+				hook.intercept({
+					call: a => events.push(["call", a]),
+					tap: tap => events.push(["tap", tap.name]),
+					error: err => events.push(["error", err]),
+					result: result => events.push(["result", result.length])
+				});
+				hook.tap("A", () => {
+					throw new Error("failed");
+				});
+				hook.tap("B", () => {});
+				await hook.promise(1);
+				expect(events).toEqual([
+					["call", 1],
+					["tap", "A"],
+					["tap", "B"],
+					["result", 2]
+				]);
+			});
+		});
+	}
+});
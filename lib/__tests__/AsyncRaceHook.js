@@ -0,0 +1,123 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const AsyncRaceHook = require("../AsyncRaceHook");
+
+const delay = (ms, value) =>
+	new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+describe("AsyncRaceHook", () => {
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should resolve with the first result to arrive", async () => {
+				const hook = new AsyncRaceHook(["url"], undefined, { backend });
+				hook.tapPromise("SlowMirror", url => delay(30, `slow ${url}`));
+				hook.tapAsync("FastMirror", (url, callback) =>
+					setTimeout(() => callback(null, `fast ${url}`), 5)
+				);
+				hook.tapPromise("NoResult", () => delay(1));
+				expect(await hook.promise("a")).toBe("fast a");
+			});
+
+			it("should abort the signal of losing taps", async () => {
+				const hook = new AsyncRaceHook(["url"], undefined, { backend });
+				const signals = {};
+				hook.tapPromise({ name: "Slow", signal: true }, (signal, url) => {
+					signals.Slow = signal;
+					return delay(30, "slow");
+				});
+				hook.tapPromise({ name: "Fast", signal: true }, (signal, url) => {
+					signals.Fast = signal;
+					return delay(5, "fast");
+				});
+				hook.tapPromise("NoSignal", (...args) => {
+					expect(args).toEqual(["a"]);
+					return delay(30);
+				});
+				const abort = jest.fn();
+				const promise = hook.promise("a");
+				signals.Slow.addEventListener("abort", abort);
+				expect(signals.Slow.aborted).toBe(false);
+				expect(await promise).toBe("fast");
+				expect(abort).toHaveBeenCalledTimes(1);
+				expect(signals.Slow).toBe(signals.Fast);
+				expect(signals.Slow.aborted).toBe(true);
+			});
+
+			it("should abort losing taps without a global AbortController", async () => {
+				const GlobalAbortController = global.AbortController;
+				delete global.AbortController;
+				try {
+					const hook = new AsyncRaceHook(["a"], undefined, { backend });
+					const abort = jest.fn();
+					let slowSignal;
+					hook.tapPromise({ name: "Slow", signal: true }, signal => {
+						slowSignal = signal;
+						signal.addEventListener("abort", abort);
+						return delay(30, "slow");
+					});
+					hook.tapPromise("Fast", () => delay(5, "fast"));
+					expect(await hook.promise(1)).toBe("fast");
+					expect(abort).toHaveBeenCalledTimes(1);
+					expect(slowSignal.aborted).toBe(true);
+					expect(slowSignal.reason.code).toBe("ABORT_ERR");
+				} finally {
+					global.AbortController = GlobalAbortController;
+				}
+			});
+
+			it("should ignore errors until all taps have finished", async () => {
+				const hook = new AsyncRaceHook(["a"], undefined, { backend });
+				const error = new Error("mirror down");
+				hook.tapPromise("Broken", () => Promise.reject(error));
+				hook.tapPromise("Working", () => delay(5, "result"));
+				expect(await hook.promise(1)).toBe("result");
+
+				const failing = new AsyncRaceHook(["a"], undefined, { backend });
+				failing.tapPromise("Broken", () => Promise.reject(error));
+				failing.tapPromise("Other", () => delay(5, undefined));
+				await expect(failing.promise(1)).rejects.toBe(error);
+			});
+
+			it("should fail with the first error in fail fast mode", async () => {
+				const hook = new AsyncRaceHook(["a"], undefined, {
+					backend,
+					failFast: true
+				});
+				const error = new Error("mirror down");
+				hook.tapPromise("Working", () => delay(5, "result"));
+				hook.tapPromise("Broken", () => Promise.reject(error));
+				await expect(hook.promise(1)).rejects.toBe(error);
+			});
+
+			it("should call back without result when no tap has a result", done => {
+				const hook = new AsyncRaceHook(["a"], undefined, { backend });
+				hook.tap("A", () => {});
+				hook.tapAsync("B", (a, callback) => callback());
+				hook.callAsync(1, (err, result) => {
+					expect(err).toBe(undefined);
+					expect(result).toBe(undefined);
+					done();
+				});
+			});
+
+			it("should abort the race when the call is aborted", async () => {
+				const hook = new AsyncRaceHook(["a"], undefined, { backend });
+				let tapSignal;
+				hook.tapPromise({ name: "A", signal: true }, (signal, a) => {
+					tapSignal = signal;
+					return delay(20, "a");
+				});
+				hook.tapPromise("B", () => delay(20, "b"));
+				const controller = new AbortController();
+				const promise = hook.withSignal(controller.signal).promise(1);
+				controller.abort();
+				await expect(promise).rejects.toThrow("The operation was aborted");
+				expect(tapSignal.aborted).toBe(true);
+			});
+		});
+	}
+});
@@ -0,0 +1,85 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const SyncBailHook = require("../SyncBailHook");
+const AsyncSeriesBailHook = require("../AsyncSeriesBailHook");
+const AsyncParallelBailHook = require("../AsyncParallelBailHook");
+
+const vetoOptions = backend => ({
+	backend,
+	bail: result => result === false,
+	defaultResult: true
+});
+
+describe("bail predicate", () => {
+	it("should validate the bail option", () => {
+		expect(() => new SyncBailHook([], "hook", { bail: true })).toThrow(
+			"Invalid bail option, expected a function"
+		);
+	});
+
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should bail sync hooks by the predicate", () => {
+				const hook = new SyncBailHook(["a"], undefined, vetoOptions(backend));
+				expect(hook.call(1)).toBe(true);
+				const tap = jest.fn(() => "ignored");
+				hook.tap("A", tap);
+				expect(hook.call(1)).toBe(true);
+				hook.tap("Veto", a => (a > 1 ? false : undefined));
+				hook.tap("B", tap);
+				expect(hook.call(1)).toBe(true);
+				expect(tap).toHaveBeenCalledTimes(3);
+				expect(hook.call(2)).toBe(false);
+				expect(tap).toHaveBeenCalledTimes(4);
+			});
+
+			it("should bail async series hooks by the predicate", async () => {
+				const hook = new AsyncSeriesBailHook(["a"], undefined, {
+					backend,
+					bail: Boolean
+				});
+				hook.tapPromise("Zero", () => Promise.resolve(0));
+				hook.tapAsync("Truthy", (a, callback) => callback(null, a));
+				hook.tap("Last", () => "last");
+				expect(await hook.promise(0)).toBe("last");
+				expect(await hook.promise(5)).toBe(5);
+			});
+
+			it("should return the default result of async series hooks", done => {
+				const hook = new AsyncSeriesBailHook(
+					["a"],
+					undefined,
+					vetoOptions(backend)
+				);
+				hook.tap("A", () => undefined);
+				hook.callAsync(1, (err, result) => {
+					expect(err).toBe(null);
+					expect(result).toBe(true);
+					done();
+				});
+			});
+
+			it("should keep the order of async parallel bail hooks", async () => {
+				const hook = new AsyncParallelBailHook(
+					["a"],
+					undefined,
+					vetoOptions(backend)
+				);
+				expect(await hook.promise(1)).toBe(true);
+				hook.tapAsync("Slow", (a, callback) =>
+					setTimeout(() => callback(null, a === 1 ? false : "allowed"), 20)
+				);
+				hook.tapPromise("Fast", () => Promise.resolve(false));
+				hook.tap("Allowed", () => "allowed");
+				expect(await hook.promise(1)).toBe(false);
+				expect(await hook.promise(2)).toBe(false);
+				hook.untap("Fast");
+				expect(await hook.promise(2)).toBe(true);
+			});
+		});
+	}
+});
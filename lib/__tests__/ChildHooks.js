@@ -0,0 +1,99 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const SyncHook = require("../SyncHook");
+const SyncWaterfallHook = require("../SyncWaterfallHook");
+const AsyncSeriesHook = require("../AsyncSeriesHook");
+
+describe("child hooks", () => {
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should call the taps of the parent together with its own taps", () => {
+				const parent = new SyncHook(["log"], "compile", { backend });
+				parent.tap("Parent", log => log.push("Parent"));
+				parent.tap({ name: "Late", stage: 10 }, log => log.push("Late"));
+				const child = parent.createChild();
+				const sibling = parent.createChild("sibling");
+				expect(child.constructor).toBe(SyncHook);
+				expect(child.name).toBe("compile");
+				expect(sibling.name).toBe("sibling");
+				child.tap("Child", log => log.push("Child"));
+				child.tap({ name: "Early", before: "Parent" }, log =>
+					log.push("Early")
+				);
+				const log = [];
+				child.call(log);
+				expect(log).toEqual(["Early", "Parent", "Child", "Late"]);
+				const parentLog = [];
+				parent.call(parentLog);
+				sibling.call(parentLog);
+				expect(parentLog).toEqual(["Parent", "Late", "Parent", "Late"]);
+				expect(child.taps.map(tap => tap.name)).toEqual(["Early", "Child"]);
+			});
+
+			it("should see changes of the parent taps", () => {
+				const parent = new SyncWaterfallHook(["value"], undefined, {
+					backend
+				});
+				const child = parent.createChild();
+				expect(child.isUsed()).toBe(false);
+				expect(child.call("")).toBe("");
+				parent.tap("A", value => `${value}a`);
+				expect(child.isUsed()).toBe(true);
+				expect(child.call("")).toBe("a");
+				parent.tap({ name: "B", stage: -1 }, value => `${value}b`);
+				expect(child.call("")).toBe("ba");
+				parent.disableTap("B");
+				expect(child.call("")).toBe("a");
+				parent.untap("A");
+				expect(child.call("")).toBe("");
+			});
+
+			it("should inherit the taps of all ancestors", async () => {
+				const root = new AsyncSeriesHook(["log"], undefined, { backend });
+				const child = root.createChild();
+				const grandchild = child.createChild();
+				expect(grandchild.call).toBe(undefined);
+				grandchild.tapPromise("Grandchild", async log =>
+					log.push("Grandchild")
+				);
+				child.tapAsync("Child", (log, callback) => {
+					log.push("Child");
+					callback();
+				});
+				root.tap("Root", log => log.push("Root"));
+				const log = [];
+				await grandchild.promise(log);
+				await child.promise(log);
+				await root.promise(log);
+				expect(log).toEqual([
+					"Root",
+					"Child",
+					"Grandchild",
+					"Root",
+					"Child",
+					"Root"
+				]);
+				root.tap("Root2", log => log.push("Root2"));
+				const log2 = [];
+				await new Promise(resolve => grandchild.callAsync(log2, resolve));
+				expect(log2).toEqual(["Root", "Root2", "Child", "Grandchild"]);
+			});
+
+			it("should remove inherited once taps from the parent", () => {
+				const parent = new SyncHook([], undefined, { backend });
+				const once = jest.fn();
+				parent.tapOnce("Once", once);
+				const child = parent.createChild();
+				child.call();
+				child.call();
+				parent.call();
+				expect(once).toHaveBeenCalledTimes(1);
+				expect(parent.isUsed()).toBe(false);
+			});
+		});
+	}
+});
@@ -0,0 +1,112 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const SyncCollectHook = require("../SyncCollectHook");
+const AsyncSeriesCollectHook = require("../AsyncSeriesCollectHook");
+const AsyncParallelCollectHook = require("../AsyncParallelCollectHook");
+
+describe("CollectHooks", () => {
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should collect the results of sync taps", () => {
+				const hook = new SyncCollectHook(["a"], undefined, { backend });
+				expect(hook.call(1)).toEqual([]);
+				hook.tap("A", a => a + 1);
+				hook.tap("B", () => {});
+				hook.tap("C", a => [a]);
+				expect(hook.call(1)).toEqual([2, undefined, [1]]);
+				expect(() => hook.tapAsync("D", () => {})).toThrow(
+					"tapAsync is not supported on a SyncCollectHook"
+				);
+			});
+
+			it("should collect the results of many sync taps", () => {
+				const hook = new SyncCollectHook(["a"], undefined, { backend });
+				const expected = [];
+				for (let i = 0; i < 50; i++) {
+					hook.tap(`tap${i}`, a => a + i);
+					expected.push(i + 1);
+				}
+				expect(hook.call(1)).toEqual(expected);
+			});
+
+			it("should pair results with tap names", () => {
+				const hook = new SyncCollectHook(["a"], undefined, {
+					backend,
+					withNames: true
+				});
+				hook.tap("A", a => a + 1);
+				hook.tap("B", () => {});
+				expect(hook.call(1)).toEqual([
+					{ name: "A", value: 2 },
+					{ name: "B", value: undefined }
+				]);
+			});
+
+			it("should collect the results of async series taps in order", async () => {
+				const hook = new AsyncSeriesCollectHook(["a"], undefined, {
+					backend
+				});
+				const log = [];
+				hook.tapAsync("A", (a, callback) => {
+					log.push("A");
+					setTimeout(() => callback(null, "a"), 10);
+				});
+				hook.tapPromise("B", () => {
+					log.push("B");
+					return Promise.resolve("b");
+				});
+				hook.tap("C", () => "c");
+				expect(await hook.promise(1)).toEqual(["a", "b", "c"]);
+				expect(log).toEqual(["A", "B"]);
+			});
+
+			it("should stop async series taps at the first error", async () => {
+				const hook = new AsyncSeriesCollectHook(["a"], undefined, {
+					backend
+				});
+				const tap = jest.fn();
+				hook.tap("A", () => "a");
+				hook.tapPromise("B", () => Promise.reject(new Error("failed")));
+				hook.tap("C", tap);
+				await expect(hook.promise(1)).rejects.toThrow("failed");
+				expect(tap).not.toHaveBeenCalled();
+			});
+
+			it("should collect the results of async parallel taps in tap order", done => {
+				const hook = new AsyncParallelCollectHook(["a"], undefined, {
+					backend,
+					withNames: true
+				});
+				hook.tapAsync("Slow", (a, callback) =>
+					setTimeout(() => callback(null, "slow"), 20)
+				);
+				hook.tapPromise("Fast", () => Promise.resolve("fast"));
+				hook.tap("Sync", a => a);
+				hook.callAsync(1, (err, results) => {
+					expect(err).toBe(null);
+					expect(results).toEqual([
+						{ name: "Slow", value: "slow" },
+						{ name: "Fast", value: "fast" },
+						{ name: "Sync", value: 1 }
+					]);
+					done();
+				});
+			});
+
+			it("should fail async parallel calls at the first error", async () => {
+				const hook = new AsyncParallelCollectHook(["a"], undefined, {
+					backend
+				});
+				hook.tapAsync("A", (a, callback) => setTimeout(callback, 10));
+				hook.tap("B", () => {
+					throw new Error("failed");
+				});
+				await expect(hook.promise(1)).rejects.toThrow("failed");
+			});
+		});
+	}
+});
@@ -0,0 +1,132 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const SyncHook = require("../SyncHook");
+const SyncBailHook = require("../SyncBailHook");
+const AsyncSeriesWaterfallHook = require("../AsyncSeriesWaterfallHook");
+const AsyncParallelHook = require("../AsyncParallelHook");
+const SyncMiddlewareHook = require("../SyncMiddlewareHook");
+const AsyncMiddlewareHook = require("../AsyncMiddlewareHook");
+
+const isJs = file => file.endsWith(".js");
+
+describe("conditional taps", () => {
+	it("should validate the when option", () => {
+		const hook = new SyncHook(["file"]);
+		expect(() => hook.tap({ name: "A", when: true }, () => {})).toThrow(
+			"Invalid when option, expected a function"
+		);
+	});
+
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should only call taps matching the arguments", () => {
+				const hook = new SyncHook(["file", "size"], undefined, { backend });
+				const events = [];
+				hook.intercept({
+					tap: tap => events.push(["tap", tap.name]),
+					skip: tap => events.push(["skip", tap.name])
+				});
+				const when = jest.fn(isJs);
+				const js = jest.fn();
+				hook.tap({ name: "Js", when }, js);
+				hook.tap({ name: "Big", when: (file, size) => size > 10 }, () =>
+					events.push(["called", "Big"])
+				);
+				hook.call("a.css", 20);
+				hook.call("a.js", 5);
+				expect(when.mock.calls).toEqual([["a.css", 20], ["a.js", 5]]);
+				expect(js.mock.calls).toEqual([["a.js", 5]]);
+				expect(events).toEqual([
+					["skip", "Js"],
+					["tap", "Big"],
+					["called", "Big"],
+					["tap", "Js"],
+					["skip", "Big"]
+				]);
+			});
+
+			it("should pass the context to skip interceptors", () => {
+				const hook = new SyncBailHook(["file"], undefined, { backend });
+				const contexts = [];
+				hook.intercept({
+					context: true,
+					skip: (context, tap) => contexts.push([context, tap.name])
+				});
+				hook.tap({ name: "Js", context: true, when: isJs }, context => "js");
+				hook.tap("Fallback", () => "fallback");
+				expect(hook.call("a.js")).toBe("js");
+				expect(hook.call("a.css")).toBe("fallback");
+				expect(contexts).toEqual([[{}, "Js"]]);
+			});
+
+			it("should treat skipped taps as taps without result", async () => {
+				const hook = new AsyncSeriesWaterfallHook(["source", "file"], "hook", {
+					backend
+				});
+				hook.tapPromise(
+					{ name: "Js", when: (source, file) => isJs(file) },
+					source => Promise.resolve(`${source} js`)
+				);
+				hook.tapAsync(
+					{ name: "Css", when: (source, file) => !isJs(file) },
+					(source, file, callback) => callback(null, `${source} css`)
+				);
+				hook.tap("All", source => `${source} all`);
+				expect(await hook.promise("a", "a.js")).toBe("a js all");
+				expect(await hook.promise("b", "b.css")).toBe("b css all");
+			});
+
+			it("should skip taps of parallel hooks", async () => {
+				const hook = new AsyncParallelHook(["file"], undefined, { backend });
+				const calls = [];
+				hook.tapPromise({ name: "Js", when: isJs }, file => {
+					calls.push(`js ${file}`);
+					return Promise.resolve();
+				});
+				hook.tapAsync({ name: "Never", when: () => false }, () => {
+					throw new Error("should not be called");
+				});
+				await hook.promise("a.js");
+				await hook.promise("a.css");
+				expect(calls).toEqual(["js a.js"]);
+			});
+
+			it("should call the remaining chain for skipped middleware taps", async () => {
+				const hook = new SyncMiddlewareHook(["file"], undefined, { backend });
+				hook.tap(
+					{ name: "Cache", when: isJs },
+					(file, next) => `cached ${next()}`
+				);
+				hook.tap("Load", file => file);
+				expect(hook.call("a.js")).toBe("cached a.js");
+				expect(hook.call("a.css")).toBe("a.css");
+
+				const asyncHook = new AsyncMiddlewareHook(["file"], undefined, {
+					backend
+				});
+				asyncHook.tapAsync(
+					{ name: "Cache", when: isJs },
+					(file, next, callback) =>
+						next((err, result) => callback(err, `cached ${result}`))
+				);
+				asyncHook.tapPromise("Load", file => Promise.resolve(file));
+				expect(await asyncHook.promise("a.js")).toBe("cached a.js");
+				expect(await asyncHook.promise("a.css")).toBe("a.css");
+			});
+
+			it("should handle many conditional taps", () => {
+				const hook = new SyncBailHook(["value"], undefined, { backend });
+				for (let i = 0; i < 40; i++) {
+					hook.tap({ name: `tap${i}`, when: value => value === i }, () => i);
+				}
+				expect(hook.call(0)).toBe(0);
+				expect(hook.call(39)).toBe(39);
+				expect(hook.call(40)).toBe(undefined);
+			});
+		});
+	}
+});
@@ -5,6 +5,10 @@
 "use strict";
 
 const SyncHook = require("../SyncHook");
+const AsyncSeriesHook = require("../AsyncSeriesHook");
+const AsyncParallelCollectHook = require("../AsyncParallelCollectHook");
+const SyncLoopHook = require("../SyncLoopHook");
+const HookMap = require("../HookMap");
 
 describe("Hook", () => {
 	it("should allow to insert hooks before others and in stages", () => {
@@ -67,6 +71,28 @@ describe("Hook", () => {
 		hook.call();
 		expect(calls).toEqual(["E", "F", "C", "D", "B", "A"]);
 	});
+	it("should reject options not supported by the hook type", () => {
+		expect(() => new SyncHook(["a"], "hook", { concurrency: 2 })).toThrow(
+			"The concurrency option is not supported by SyncHook"
+		);
+		expect(
+			() => new AsyncSeriesHook(["a"], "hook", { waterfall: true })
+		).toThrow("The waterfall option is not supported by AsyncSeriesHook");
+		expect(() => new SyncLoopHook(["a"], "hook", { withNames: true })).toThrow(
+			"The withNames option is not supported by SyncLoopHook"
+		);
+		expect(
+			() => new AsyncParallelCollectHook(["a"], "hook", { defaultResult: 1 })
+		).toThrow(
+			"The defaultResult option is not supported by AsyncParallelCollectHook"
+		);
+		const hook = new AsyncParallelCollectHook(["a"], "hook", {
+			concurrency: 2,
+			withNames: true
+		});
+		expect(typeof hook.createChild("child").withConcurrency).toBe("function");
+	});
+
 	it("should throw without a valid name", () => {
 		const hook = new SyncHook();
 		expect(() => hook.tap("", () => {})).toThrow(
@@ -76,4 +102,162 @@ describe("Hook", () => {
 			new Error("Missing name for tap")
 		);
 	});
+	it("should allow to remove taps by name and by disposer", () => {
+		const hook = new SyncHook();
+
+		const calls = [];
+		const disposeA = hook.tap("A", () => calls.push("A"));
+		hook.tap("B", () => calls.push("B"));
+		hook.tap("B", () => calls.push("B2"));
+		hook.tap("C", () => calls.push("C"));
+
+		hook.call();
+		expect(calls).toEqual(["A", "B", "B2", "C"]);
+
+		expect(hook.untap("B")).toBe(true);
+		calls.length = 0;
+		hook.call();
+		expect(calls).toEqual(["A", "C"]);
+
+		expect(disposeA()).toBe(true);
+		expect(disposeA()).toBe(false);
+		expect(hook.untap("B")).toBe(false);
+		calls.length = 0;
+		hook.call();
+		expect(calls).toEqual(["C"]);
+
+		expect(hook.untap(hook.taps[0])).toBe(true);
+		expect(hook.isUsed()).toBe(false);
+		calls.length = 0;
+		hook.call();
+		expect(calls).toEqual([]);
+	});
+	it("should remove taps replaced by register interceptors", async () => {
+		const hook = new AsyncSeriesHook(["x"]);
+
+		const calls = [];
+		const dispose = hook.tapPromise("A", async x => calls.push("A" + x));
+		hook.intercept({
+			register: tap => Object.assign({}, tap, { name: "Wrapped" + tap.name })
+		});
+		await hook.promise(1);
+		expect(calls).toEqual(["A1"]);
+
+		expect(dispose()).toBe(true);
+		calls.length = 0;
+		await hook.promise(2);
+		expect(calls).toEqual([]);
+	});
+	it("should call unregister interceptors for removed taps", () => {
+		const hook = new SyncHook();
+		const unregister = jest.fn();
+		hook.intercept({ unregister });
+
+		const fn = () => {};
+		const dispose = hook.tap("A", fn);
+		expect(unregister).not.toHaveBeenCalled();
+		dispose();
+		expect(unregister).toHaveBeenCalledTimes(1);
+		expect(unregister).toHaveBeenLastCalledWith({
+			type: "sync",
+			name: "A",
+			fn
+		});
+	});
+	it("should allow to remove taps through withOptions and HookMap", () => {
+		const map = new HookMap(() => new SyncHook());
+		const hook = map.for("key").withOptions({ stage: -10 });
+
+		const calls = [];
+		map.for("key").tap("A", () => calls.push("A"));
+		const dispose = hook.tap("B", () => calls.push("B"));
+		hook.tap("C", () => calls.push("C"));
+
+		map.for("key").call();
+		expect(calls).toEqual(["B", "C", "A"]);
+
+		dispose();
+		hook.untap("C");
+		calls.length = 0;
+		map.for("key").call();
+		expect(calls).toEqual(["A"]);
+	});
+	it("should throw on invalid untap argument", () => {
+		const hook = new SyncHook();
+		expect(() => hook.untap()).toThrow(new Error("Invalid tap to remove"));
+	});
+
+	it("should order taps after others", () => {
+		const hook = new SyncHook();
+
+		const calls = [];
+		hook.tap({ name: "A", after: "B" }, () => calls.push("A"));
+		hook.tap({ name: "B", after: ["C", "Missing"] }, () => calls.push("B"));
+		hook.tap("C", () => calls.push("C"));
+		hook.tap("D", () => calls.push("D"));
+
+		hook.call();
+		expect(calls).toEqual(["C", "B", "A", "D"]);
+		expect(hook.taps.map(tap => tap.name)).toEqual(["C", "B", "A", "D"]);
+	});
+
+	it("should order taps before others registered later", () => {
+		const hook = new SyncHook();
+
+		const calls = [];
+		hook.tap("A", () => calls.push("A"));
+		hook.tap({ name: "B", before: "C" }, () => calls.push("B"));
+		hook.tap({ name: "C", stage: -10 }, () => calls.push("C"));
+		hook.tap({ name: "D", stage: -20 }, () => calls.push("D"));
+
+		hook.call();
+		expect(calls).toEqual(["D", "B", "C", "A"]);
+	});
+
+	it("should report a missing required tap", async () => {
+		const hook = new AsyncSeriesHook([], "build");
+		const message =
+			'Tap "A" of hook "build" requires tap "B", which is not registered';
+
+		hook.tap({ name: "A", requires: "B" }, () => {});
+		const errorCallback = jest.fn();
+		hook.callAsync(errorCallback);
+		expect(errorCallback).toHaveBeenCalledWith(new Error(message));
+		await expect(hook.promise()).rejects.toThrow(message);
+		const signalCallback = jest.fn();
+		hook.withSignal(new AbortController().signal).callAsync(signalCallback);
+		expect(signalCallback).toHaveBeenCalledWith(new Error(message));
+		await expect(
+			hook.withSignal(new AbortController().signal).promise()
+		).rejects.toThrow(message);
+
+		hook.tap("B", () => {});
+		const callback = jest.fn();
+		hook.callAsync(callback);
+		expect(callback).toHaveBeenCalledWith();
+	});
+
+	it("should throw on cyclic ordering constraints", () => {
+		const hook = new SyncHook([], "build");
+
+		hook.tap("A", () => {});
+		hook.tap({ name: "B", after: "A" }, () => {});
+		hook.tap({ name: "C", after: "B", before: "A" }, () => {});
+		hook.tap({ name: "D", before: "A" }, () => {});
+		expect(() => hook.call()).toThrow(
+			new Error('Cyclic tap order in hook "build": A -> B -> C -> A')
+		);
+	});
+
+	it("should report cyclic ordering constraints in async calls", async () => {
+		const hook = new AsyncSeriesHook(["a"], "build");
+
+		hook.tap({ name: "A", after: "B" }, () => {});
+		hook.tapPromise({ name: "B", after: "A" }, () => Promise.resolve());
+		const message = 'Cyclic tap order in hook "build": B -> A -> B';
+		await expect(hook.promise(1)).rejects.toThrow(message);
+		const callback = jest.fn();
+		hook.callAsync(1, callback);
+		expect(callback).toHaveBeenCalledWith(new Error(message));
+	});
 });
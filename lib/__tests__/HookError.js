@@ -0,0 +1,134 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const HookError = require("../HookError");
+const SyncHook = require("../SyncHook");
+const AsyncSeriesHook = require("../AsyncSeriesHook");
+const AsyncParallelHook = require("../AsyncParallelHook");
+
+const callAsync = (hook, ...args) =>
+	new Promise(resolve => hook.callAsync(...args, err => resolve(err)));
+
+describe("HookError", () => {
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should wrap errors of sync taps", () => {
+				const hook = new SyncHook(["a"], "compile", {
+					backend,
+					errors: "wrap"
+				});
+				const error = new Error("failed");
+				hook.tap("A", () => {});
+				hook.tap("MyPlugin", () => {
+					throw error;
+				});
+				let thrown;
+				try {
+					hook.call(1);
+				} catch (err) {
+					thrown = err;
+				}
+				expect(thrown).toBeInstanceOf(HookError);
+				expect(thrown.message).toBe(
+					'tap "MyPlugin" of hook "compile" failed during call: failed'
+				);
+				expect(thrown.cause).toBe(error);
+				expect(thrown.hookName).toBe("compile");
+				expect(thrown.tapName).toBe("MyPlugin");
+				expect(thrown.tapType).toBe("sync");
+				expect(thrown.callMode).toBe("call");
+			});
+
+			it("should wrap errors of async and promise taps", async () => {
+				const hook = new AsyncSeriesHook(["a"], "emit", {
+					backend,
+					errors: "wrap"
+				});
+				const interceptedErrors = [];
+				hook.intercept({ error: err => interceptedErrors.push(err) });
+				const disposeAsync = hook.tapAsync("AsyncPlugin", (a, callback) =>
+					callback(new Error("async failed"))
+				);
+				let err = await callAsync(hook, 1);
+				expect(err.message).toBe(
+					'tapAsync "AsyncPlugin" of hook "emit" failed during callAsync: async failed'
+				);
+				expect(interceptedErrors).toEqual([err]);
+				disposeAsync();
+
+				hook.tapPromise("PromisePlugin", () => Promise.reject("rejected"));
+				err = await hook.promise(1).catch(err => err);
+				expect(err.message).toBe(
+					'tapPromise "PromisePlugin" of hook "emit" failed during promise: rejected'
+				);
+				expect(err.cause).toBe("rejected");
+				expect(err.tapType).toBe("promise");
+
+				hook.tap("SyncPlugin", () => {
+					throw new Error("sync failed");
+				});
+				err = await callAsync(hook, 1);
+				expect(err.tapName).toBe("PromisePlugin");
+			});
+
+			it("should annotate errors and keep their identity", async () => {
+				const hook = new AsyncParallelHook(["a"], undefined, {
+					backend,
+					errors: "annotate"
+				});
+				const error = new Error("failed");
+				hook.tapAsync("A", (a, callback) => callback());
+				hook.tapPromise("B", () => Promise.reject(error));
+				const err = await callAsync(hook, 1);
+				expect(err).toBe(error);
+				expect(err.message).toBe("failed");
+				expect(err.hookName).toBe(undefined);
+				expect(err.tapName).toBe("B");
+				expect(err.tapType).toBe("promise");
+				expect(err.callMode).toBe("callAsync");
+				expect(Object.keys(err)).toEqual([]);
+
+				const syncHook = new SyncHook([], "outer", {
+					backend,
+					errors: "annotate"
+				});
+				syncHook.tap("Outer", () => {
+					throw error;
+				});
+				expect(() => syncHook.call()).toThrow(error);
+				expect(error.tapName).toBe("B");
+			});
+
+			it("should not touch errors by default", async () => {
+				const hook = new AsyncSeriesHook([], "hook", { backend });
+				const error = new Error("failed");
+				hook.tapPromise("A", () => Promise.reject(error));
+				const err = await callAsync(hook);
+				expect(err).toBe(error);
+				expect(err.tapName).toBe(undefined);
+			});
+		});
+	}
+
+	it("should describe unnamed hooks", () => {
+		const err = new HookError(new Error("failed"), {
+			hookName: undefined,
+			tapName: "A",
+			tapType: "async",
+			callMode: "promise"
+		});
+		expect(err.message).toBe(
+			'tapAsync "A" of hook (unnamed) failed during promise: failed'
+		);
+		expect(err.name).toBe("HookError");
+	});
+
+	it("should throw on invalid errors options", () => {
+		expect(() => new SyncHook([], "hook", { errors: "ignore" })).toThrow(
+			new Error('Invalid errors option "ignore"')
+		);
+	});
+});
@@ -0,0 +1,103 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const HookTester = require("./HookTester");
+const Hook = require("../Hook");
+const SyncHook = require("../SyncHook");
+const SyncBailHook = require("../SyncBailHook");
+const SyncWaterfallHook = require("../SyncWaterfallHook");
+const SyncLoopHook = require("../SyncLoopHook");
+const AsyncParallelHook = require("../AsyncParallelHook");
+const AsyncParallelBailHook = require("../AsyncParallelBailHook");
+const AsyncSeriesHook = require("../AsyncSeriesHook");
+const AsyncSeriesBailHook = require("../AsyncSeriesBailHook");
+const AsyncSeriesLoopHook = require("../AsyncSeriesLoopHook");
+const AsyncSeriesWaterfallHook = require("../AsyncSeriesWaterfallHook");
+
+const runTester = (Hook, backend, syncOnly, loop) => {
+	const tester = new HookTester(
+		(args, name) => new Hook(args, name, { backend })
+	);
+	return loop ? tester.runForLoop(syncOnly) : tester.run(syncOnly);
+};
+
+describe("HookInterpreter", () => {
+	const hookTypes = [
+		[SyncHook, true, false],
+		[SyncBailHook, true, false],
+		[SyncWaterfallHook, true, false],
+		[SyncLoopHook, true, true],
+		[AsyncParallelHook, false, false],
+		[AsyncParallelBailHook, false, false],
+		[AsyncSeriesHook, false, false],
+		[AsyncSeriesBailHook, false, false],
+		[AsyncSeriesLoopHook, false, true],
+		[AsyncSeriesWaterfallHook, false, false]
+	];
+	for (const [Hook, syncOnly, loop] of hookTypes) {
+		it(`should behave like the generated code for ${Hook.name}`, async () => {
+			const interpreted = await runTester(Hook, "interpreter", syncOnly, loop);
+			const compiled = await runTester(Hook, "codegen", syncOnly, loop);
+			expect(interpreted).toEqual(compiled);
+		}, 30000);
+	}
+
+	it("should not use new Function", () => {
+		const OriginalFunction = global.Function;
+		global.Function = function() {
+			throw new EvalError("Code generation from strings disallowed");
+		};
+		try {
+			const hook = new AsyncSeriesHook(["a"], "hook", {
+				backend: "interpreter"
+			});
+			const calls = [];
+			hook.tap("A", a => calls.push(a));
+			hook.callAsync(1, err => calls.push(err));
+			expect(calls).toEqual([1, undefined]);
+		} finally {
+			global.Function = OriginalFunction;
+		}
+	});
+
+	it("should not overflow the stack with many sync taps", () => {
+		const hook = new AsyncSeriesBailHook(["x"], "hook", {
+			backend: "interpreter"
+		});
+		for (let i = 0; i < 100000; i++) {
+			hook.tap("Test", () => undefined);
+		}
+		hook.tapPromise("Test", x => Promise.resolve(42));
+		return expect(hook.promise()).resolves.toBe(42);
+	});
+
+	it("should allow to change the default backend", () => {
+		const hook = new SyncHook(["a"]);
+		const compiledHook = new SyncHook(["a"], "compiled", {
+			backend: "codegen"
+		});
+		Hook.setDefaultBackend("interpreter");
+		try {
+			hook.tap("A", a => a);
+			compiledHook.tap("A", a => a);
+			hook.call(1);
+			compiledHook.call(1);
+			expect(hook.call.toString()).not.toMatch("use strict");
+			expect(compiledHook.call.toString()).toMatch("use strict");
+		} finally {
+			Hook.setDefaultBackend("codegen");
+		}
+	});
+
+	it("should throw on invalid backends", () => {
+		expect(() => Hook.setDefaultBackend("eval")).toThrow(
+			new Error('Invalid hook backend "eval"')
+		);
+		expect(() => new SyncHook([], "hook", { backend: "eval" })).toThrow(
+			new Error('Invalid hook backend "eval"')
+		);
+	});
+});
@@ -0,0 +1,246 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const HookProfiler = require("../HookProfiler");
+const SyncHook = require("../SyncHook");
+const AsyncSeriesHook = require("../AsyncSeriesHook");
+const AsyncParallelHook = require("../AsyncParallelHook");
+const HookMap = require("../HookMap");
+const MultiHook = require("../MultiHook");
+
+const createClock = () => {
+	let time = 0;
+	return () => ++time;
+};
+
+const simplify = entries =>
+	entries.map(({ kind, hook, name, type, start, end }) => [
+		kind,
+		hook,
+		name,
+		type,
+		start,
+		end
+	]);
+
+describe("HookProfiler", () => {
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should record sync calls and taps", () => {
+				const hook = new SyncHook(["a"], "hook", { backend });
+				hook.tap("A", () => {});
+				hook.tap("B", () => {
+					throw new Error("B failed");
+				});
+				const profiler = new HookProfiler({ now: createClock() });
+				profiler.attach(hook);
+				expect(() => hook.call(1)).toThrow("B failed");
+				expect(simplify(profiler.entries)).toEqual([
+					["call", "hook", "call", "sync", 1, 6],
+					["tap", "hook", "A", "sync", 2, 3],
+					["tap", "hook", "B", "sync", 4, 5]
+				]);
+			});
+
+			it("should record async and promise taps until completion", async () => {
+				const hook = new AsyncSeriesHook(["a"], "hook", { backend });
+				const profiler = new HookProfiler({ now: createClock() });
+				profiler.attach(hook);
+				let resolveA;
+				hook.tapAsync("A", (a, callback) => {
+					resolveA = callback;
+				});
+				hook.tapPromise("B", () => Promise.resolve());
+				const promise = hook.promise(1);
+				expect(simplify(profiler.entries)).toEqual([
+					["call", "hook", "promise", "promise", 1, undefined],
+					["tap", "hook", "A", "async", 2, undefined]
+				]);
+				resolveA();
+				await promise;
+				expect(simplify(profiler.entries)).toEqual([
+					["call", "hook", "promise", "promise", 1, 6],
+					["tap", "hook", "A", "async", 2, 3],
+					["tap", "hook", "B", "promise", 4, 5]
+				]);
+			});
+
+			it("should record parallel taps and errors", async () => {
+				const hook = new AsyncParallelHook([], "parallel", { backend });
+				const profiler = new HookProfiler({ now: createClock() });
+				profiler.attach(hook);
+				hook.tapPromise("A", () => Promise.reject(new Error("A failed")));
+				hook.tapAsync("B", callback => callback());
+				await new Promise(resolve =>
+					hook.callAsync(err => {
+						expect(err.message).toBe("A failed");
+						resolve();
+					})
+				);
+				expect(simplify(profiler.entries)).toEqual([
+					["call", "parallel", "callAsync", "async", 1, 6],
+					["tap", "parallel", "A", "promise", 2, 5],
+					["tap", "parallel", "B", "async", 3, 4]
+				]);
+			});
+		});
+	}
+
+	it("should attach to HookMaps and MultiHooks", () => {
+		const map = new HookMap(() => new SyncHook(), "map");
+		const existing = map.for("existing");
+		const hookA = new SyncHook([], "a");
+		const hookB = new SyncHook([], "b");
+		const profiler = new HookProfiler({ now: createClock() });
+		profiler.attach(map);
+		profiler.attach(new MultiHook([hookA, hookB]));
+		existing.tap("Plugin", () => {});
+		map.for("new").tap("Plugin", () => {});
+		hookA.tap("Plugin", () => {});
+		existing.call();
+		map.for("new").call();
+		hookA.call();
+		hookB.call();
+		expect(profiler.entries.map(e => `${e.kind} ${e.hook} ${e.name}`)).toEqual([
+			"call map[existing] call",
+			"tap map[existing] Plugin",
+			"call map[new] call",
+			"tap map[new] Plugin",
+			"call a call",
+			"tap a Plugin",
+			"call b call"
+		]);
+	});
+
+	it("should stop recording after detaching", () => {
+		const hook = new SyncHook([], "hook");
+		hook.tap("A", () => {});
+		const profiler = new HookProfiler({ now: createClock() });
+		profiler.attach(hook);
+		hook.call();
+		profiler.detach();
+		hook.call();
+		expect(profiler.entries.length).toBe(2);
+		expect(() => profiler.attach({})).toThrow(
+			"Only Hook, HookMap and MultiHook can be profiled"
+		);
+	});
+
+	it("should not profile new hooks of a detached HookMap", () => {
+		const map = new HookMap(() => new SyncHook());
+		const profiler = new HookProfiler({ now: createClock() });
+		profiler.attach(map);
+		profiler.attach(map);
+		expect(map.for("a")._profiler).toBe(profiler);
+		profiler.detach();
+		profiler.attach(new SyncHook([], "other"));
+		const hook = map.for("b");
+		expect(hook._profiler).toBe(undefined);
+		expect(map._interceptors.length).toBe(1);
+	});
+
+	it("should export a Chrome trace", async () => {
+		const hook = new AsyncSeriesHook([], "hook");
+		hook.tap("A", () => {});
+		hook.tapPromise("B", () => Promise.resolve());
+		const profiler = new HookProfiler({ now: createClock() });
+		profiler.attach(hook);
+		await hook.promise();
+		expect(profiler.toChromeTrace()).toEqual({
+			displayTimeUnit: "ms",
+			traceEvents: [
+				{
+					name: "hook.promise",
+					cat: "call",
+					ph: "b",
+					id: 1,
+					ts: 1000,
+					pid: 1,
+					tid: 1,
+					args: { hook: "hook", type: "promise" }
+				},
+				{
+					name: "A",
+					cat: "tap",
+					ph: "X",
+					ts: 2000,
+					dur: 1000,
+					pid: 1,
+					tid: 1,
+					args: { hook: "hook", type: "sync", call: 1 }
+				},
+				{
+					name: "B",
+					cat: "tap",
+					ph: "b",
+					id: 3,
+					ts: 4000,
+					pid: 1,
+					tid: 1,
+					args: { hook: "hook", type: "promise", call: 1 }
+				},
+				{ name: "B", cat: "tap", ph: "e", id: 3, ts: 5000, pid: 1, tid: 1 },
+				{
+					name: "hook.promise",
+					cat: "call",
+					ph: "e",
+					id: 1,
+					ts: 6000,
+					pid: 1,
+					tid: 1
+				}
+			]
+		});
+	});
+
+	it("should summarize the slowest taps per hook", () => {
+		let time = 0;
+		const profiler = new HookProfiler({ now: () => time });
+		const fast = new SyncHook([], "fast");
+		const slow = new SyncHook([], "slow");
+		const work = duration => () => {
+			time += duration;
+		};
+		fast.tap("A", work(1));
+		fast.tap("B", work(2));
+		fast.tap("C", work(3));
+		slow.tap("D", work(20));
+		profiler.attach(fast);
+		profiler.attach(slow);
+		fast.call();
+		fast.call();
+		slow.call();
+		expect(profiler.summary({ limit: 2 })).toEqual([
+			{
+				hook: "slow",
+				tap: "D",
+				type: "sync",
+				calls: 1,
+				total: 20,
+				average: 20,
+				max: 20
+			},
+			{
+				hook: "fast",
+				tap: "C",
+				type: "sync",
+				calls: 2,
+				total: 6,
+				average: 3,
+				max: 3
+			},
+			{
+				hook: "fast",
+				tap: "B",
+				type: "sync",
+				calls: 2,
+				total: 4,
+				average: 2,
+				max: 2
+			}
+		]);
+	});
+});
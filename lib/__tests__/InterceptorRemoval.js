@@ -0,0 +1,122 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const SyncHook = require("../SyncHook");
+const AsyncSeriesHook = require("../AsyncSeriesHook");
+const MultiHook = require("../MultiHook");
+
+describe("interceptor removal", () => {
+	it("should validate the stage option", () => {
+		const hook = new SyncHook();
+		expect(() => hook.intercept({ stage: "early" })).toThrow(
+			'Invalid stage option "early"'
+		);
+		expect(hook.interceptors).toEqual([]);
+	});
+
+	it("should remove interceptors of a MultiHook", () => {
+		const hook1 = new SyncHook();
+		const hook2 = new SyncHook();
+		const call = jest.fn();
+		const dispose = new MultiHook([hook1, hook2]).intercept({ call });
+		hook1.call();
+		expect(dispose()).toBe(true);
+		expect(dispose()).toBe(false);
+		hook1.call();
+		hook2.call();
+		expect(call).toHaveBeenCalledTimes(1);
+		expect(hook1.isUsed()).toBe(false);
+	});
+
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should return a disposer removing the interceptor", async () => {
+				const hook = new AsyncSeriesHook(["a"], undefined, { backend });
+				const calls = [];
+				const dispose = hook.intercept({
+					call: a => calls.push(["first", a])
+				});
+				hook.intercept({ call: a => calls.push(["second", a]) });
+				hook.tap("A", () => {});
+				await hook.promise(1);
+				expect(dispose()).toBe(true);
+				await hook.promise(2);
+				expect(dispose()).toBe(false);
+				expect(calls).toEqual([["first", 1], ["second", 1], ["second", 2]]);
+			});
+
+			it("should order interceptors by stage", () => {
+				const hook = new SyncHook(["log"], undefined, { backend });
+				const intercept = (name, stage) =>
+					hook.intercept({
+						name,
+						stage,
+						call: log => log.push(name),
+						around: (args, next) => {
+							args[0].push(`around ${name}`);
+							return next();
+						}
+					});
+				intercept("A");
+				intercept("Late", 10);
+				intercept("Early", -10);
+				intercept("B", 0);
+				const log = [];
+				hook.call(log);
+				expect(log).toEqual([
+					"around Early",
+					"around A",
+					"around B",
+					"around Late",
+					"Early",
+					"A",
+					"B",
+					"Late"
+				]);
+			});
+
+			it("should unregister taps and restore taps replaced by register", () => {
+				const hook = new SyncHook(["log"], undefined, { backend });
+				const unregistered = [];
+				const wrap = label => ({
+					register: tap =>
+						Object.assign({}, tap, {
+							fn: log => {
+								log.push(label);
+								return tap.fn(log);
+							}
+						}),
+					unregister: tap => unregistered.push([label, tap.name])
+				});
+				hook.tap("A", log => log.push("A"));
+				const disposeProfiler = hook.intercept(wrap("profile"));
+				const disposeTrace = hook.intercept(wrap("trace"));
+				const untapB = hook.tap("B", log => log.push("B"));
+				const log = [];
+				hook.call(log);
+				expect(log).toEqual(["trace", "profile", "A", "trace", "profile", "B"]);
+				expect(disposeProfiler()).toBe(true);
+				log.length = 0;
+				hook.call(log);
+				expect(log).toEqual(["trace", "A", "trace", "B"]);
+				expect(disposeTrace()).toBe(true);
+				log.length = 0;
+				hook.call(log);
+				expect(log).toEqual(["A", "B"]);
+				expect(unregistered).toEqual([
+					["profile", "A"],
+					["profile", "B"],
+					["trace", "A"],
+					["trace", "B"]
+				]);
+				expect(untapB()).toBe(true);
+				expect(hook.taps.map(tap => tap.name)).toEqual(["A"]);
+				expect(hook.untap("A")).toBe(true);
+				expect(hook.isUsed()).toBe(false);
+			});
+		});
+	}
+});
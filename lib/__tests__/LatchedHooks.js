@@ -0,0 +1,169 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const SyncHook = require("../SyncHook");
+const SyncBailHook = require("../SyncBailHook");
+const AsyncSeriesHook = require("../AsyncSeriesHook");
+const AsyncSeriesWaterfallHook = require("../AsyncSeriesWaterfallHook");
+const AsyncParallelHook = require("../AsyncParallelHook");
+
+describe("latched hooks", () => {
+	it("should validate the latch option", () => {
+		expect(() => new SyncHook([], "hook", { latch: true })).toThrow(
+			'Invalid latch option "true"'
+		);
+		for (const HookType of [SyncBailHook, AsyncSeriesWaterfallHook]) {
+			expect(() => new HookType(["a"], "hook", { latch: "last" })).toThrow(
+				`The latch option is not supported by ${HookType.name}`
+			);
+		}
+	});
+
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should call late taps with the arguments of the last call", () => {
+				const hook = new SyncHook(["port"], undefined, {
+					backend,
+					latch: "last"
+				});
+				const early = jest.fn();
+				hook.tap("Early", early);
+				const beforeCall = jest.fn();
+				hook.tap("BeforeCall", beforeCall);
+				hook.untap("BeforeCall");
+				hook.call(8080);
+				hook.call(8081);
+				const late = jest.fn();
+				hook.tap("Late", late);
+				expect(late.mock.calls).toEqual([[8081]]);
+				expect(early.mock.calls).toEqual([[8080], [8081]]);
+				hook.call(8082);
+				expect(late.mock.calls).toEqual([[8081], [8082]]);
+				expect(beforeCall).not.toHaveBeenCalled();
+			});
+
+			it("should keep the arguments of the first call", async () => {
+				const hook = new AsyncSeriesHook(["stats"], undefined, {
+					backend,
+					latch: "first"
+				});
+				await hook.promise("first");
+				await new Promise(resolve => hook.callAsync("second", resolve));
+				const late = [];
+				hook.tapAsync("Async", (stats, callback) => {
+					late.push(`async ${stats}`);
+					callback();
+				});
+				hook.tapPromise("Promise", stats => {
+					late.push(`promise ${stats}`);
+					return Promise.resolve();
+				});
+				hook.tap({ name: "Context", context: true }, (context, stats) => {
+					late.push(`sync ${stats} ${typeof context}`);
+				});
+				expect(late).toEqual([
+					"async first",
+					"promise first",
+					"sync first object"
+				]);
+			});
+
+			it("should clear the latch on reset", async () => {
+				const hook = new AsyncParallelHook(["a", "b"], undefined, {
+					backend,
+					latch: "first"
+				});
+				const late = jest.fn();
+				hook.tap("BeforeCall", late);
+				hook.untap("BeforeCall");
+				await hook.promise(1, 2);
+				hook.reset();
+				hook.tap("AfterReset", late);
+				expect(late).not.toHaveBeenCalled();
+				await hook.promise(3, 4);
+				hook.untap("AfterReset");
+				hook.tap("Late", late);
+				expect(late.mock.calls).toEqual([[3, 4], [3, 4]]);
+			});
+
+			it("should respect tap options of late taps", () => {
+				const hook = new SyncHook(["a"], undefined, { backend, latch: "last" });
+				hook.call(1);
+				const fn = jest.fn();
+				hook.tap({ name: "Disabled", enabled: false }, fn);
+				hook.tap({ name: "Skipped", when: a => a > 1 }, fn);
+				hook.tapOnce("Once", fn);
+				expect(fn.mock.calls).toEqual([[1]]);
+				expect(hook.taps.map(tap => tap.name)).toEqual(["Disabled", "Skipped"]);
+			});
+
+			it("should report errors of late taps", async () => {
+				const hook = new AsyncSeriesHook(["a"], undefined, {
+					backend,
+					latch: "last"
+				});
+				const errors = [];
+				hook.intercept({ error: err => errors.push(err.message) });
+				await hook.promise(1);
+				expect(() =>
+					hook.tap("Sync", () => {
+						throw new Error("sync");
+					})
+				).toThrow("sync");
+				expect(hook.taps).toEqual([]);
+				hook.tapPromise("Promise", () => Promise.reject(new Error("promise")));
+				hook.tapAsync("Async", (a, callback) => callback(new Error("async")));
+				await Promise.resolve();
+				expect(errors).toEqual(["sync", "async", "promise"]);
+			});
+
+			it("should call late taps like calls of the hook", done => {
+				const hook = new AsyncParallelHook(["a"], "ready", {
+					backend,
+					latch: "last",
+					errors: "wrap",
+					timeout: 10
+				});
+				const log = [];
+				hook.intercept({
+					aroundTap: (tap, args, next) => {
+						log.push(`around ${tap.name} ${args[0]}`);
+						return next();
+					},
+					tapError: tap => log.push(`failed ${tap.name}`),
+					error: err => {
+						log.push(err.code || err.message);
+						if (err.code !== "ETIMEDOUT") return;
+						expect(log).toEqual([
+							"around Sync 1",
+							"failed Sync",
+							'tap "Sync" of hook "ready" failed during call: sync',
+							"around Slow 1",
+							"failed Slow",
+							"ETIMEDOUT"
+						]);
+						done();
+					}
+				});
+				hook.callAsync(1, () => {});
+				expect(() =>
+					hook.tap("Sync", () => {
+						throw new Error("sync");
+					})
+				).toThrow('tap "Sync" of hook "ready" failed during call: sync');
+				hook.tapAsync("Slow", () => {});
+			});
+
+			it("should not latch without the option", () => {
+				const hook = new SyncHook(["a"], undefined, { backend });
+				hook.call(1);
+				const late = jest.fn();
+				hook.tap("Late", late);
+				expect(late).not.toHaveBeenCalled();
+			});
+		});
+	}
+});
@@ -0,0 +1,81 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const SyncLoopHook = require("../SyncLoopHook");
+const AsyncSeriesLoopHook = require("../AsyncSeriesLoopHook");
+
+describe("loop iterations", () => {
+	it("should validate the maxIterations option", () => {
+		expect(() => new SyncLoopHook([], "hook", { maxIterations: 0 })).toThrow(
+			'Invalid maxIterations option "0"'
+		);
+	});
+
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should pass the iteration to loop interceptors", () => {
+				const hook = new SyncLoopHook(["a"], undefined, { backend });
+				const iterations = [];
+				hook.intercept({
+					loop: (a, iteration) => iterations.push([a, iteration])
+				});
+				let count = 0;
+				hook.tap("A", () => (++count < 3 ? true : undefined));
+				hook.call("x");
+				expect(iterations).toEqual([["x", 1], ["x", 2], ["x", 3]]);
+			});
+
+			it("should fail sync loops exceeding maxIterations", () => {
+				const hook = new SyncLoopHook(["a"], "loop", {
+					backend,
+					maxIterations: 5
+				});
+				const calls = jest.fn();
+				hook.tap("Fine", calls);
+				hook.tap("Spinning", () => true);
+				let error;
+				try {
+					hook.call(1);
+				} catch (err) {
+					error = err;
+				}
+				expect(error.message).toBe(
+					'Tap "Spinning" of hook "loop" kept restarting the loop, maxIterations (5) exceeded'
+				);
+				expect(error.tapName).toBe("Spinning");
+				expect(calls).toHaveBeenCalledTimes(5);
+			});
+
+			it("should allow loops within maxIterations", () => {
+				const hook = new SyncLoopHook([], undefined, {
+					backend,
+					maxIterations: 3
+				});
+				let count = 0;
+				hook.tap("A", () => (++count < 3 ? true : undefined));
+				expect(() => hook.call()).not.toThrow();
+				expect(count).toBe(3);
+			});
+
+			it("should fail async loops exceeding maxIterations", async () => {
+				const hook = new AsyncSeriesLoopHook(["a"], "loop", {
+					backend,
+					maxIterations: 10
+				});
+				const iterations = [];
+				hook.intercept({
+					context: true,
+					loop: (context, a, iteration) => iterations.push(iteration)
+				});
+				hook.tapPromise("Spinning", () => Promise.resolve(true));
+				await expect(hook.promise(1)).rejects.toThrow(
+					'Tap "Spinning" of hook "loop" kept restarting the loop, maxIterations (10) exceeded'
+				);
+				expect(iterations).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+			});
+		});
+	}
+});
@@ -0,0 +1,194 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const SyncMiddlewareHook = require("../SyncMiddlewareHook");
+const AsyncMiddlewareHook = require("../AsyncMiddlewareHook");
+
+describe("MiddlewareHooks", () => {
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should run sync taps around the rest of the chain", () => {
+				const hook = new SyncMiddlewareHook(["key"], undefined, { backend });
+				expect(hook.call("a")).toBe(undefined);
+				const log = [];
+				hook.tap("Timing", (key, next) => {
+					log.push("before timing");
+					const result = next();
+					log.push("after timing");
+					return result;
+				});
+				hook.tap("Cache", (key, next) => {
+					if (key === "cached") return "from cache";
+					return `${next()} (cached)`;
+				});
+				hook.tap({ name: "Compute", stage: 10 }, key => key.toUpperCase());
+				hook.tap({ name: "Logger", before: "Timing" }, (key, next) => {
+					log.push("logger");
+					return next();
+				});
+				expect(hook.call("a")).toBe("A (cached)");
+				expect(log).toEqual(["logger", "before timing", "after timing"]);
+				expect(hook.call("cached")).toBe("from cache");
+			});
+
+			it("should allow sync taps to handle errors of later taps", () => {
+				const hook = new SyncMiddlewareHook(["a"], undefined, { backend });
+				hook.tap("Recover", (a, next) => {
+					try {
+						return next();
+					} catch (err) {
+						return `recovered from ${err.message}`;
+					}
+				});
+				hook.tap("Fail", () => {
+					throw new Error("failure");
+				});
+				expect(hook.call(1)).toBe("recovered from failure");
+			});
+
+			it("should throw when next is called multiple times", () => {
+				const hook = new SyncMiddlewareHook(["a"], undefined, { backend });
+				hook.tap("Twice", (a, next) => next() + next());
+				hook.tap("Last", () => 1);
+				expect(() => hook.call(1)).toThrow("next() called multiple times");
+				expect(() => hook.tapPromise("A", () => {})).toThrow(
+					"tapPromise is not supported on a SyncMiddlewareHook"
+				);
+			});
+
+			it("should compose sync, async and promise taps", async () => {
+				const hook = new AsyncMiddlewareHook(["key"], undefined, { backend });
+				const log = [];
+				hook.tapPromise("Timing", async (key, next) => {
+					log.push("start");
+					const result = await next();
+					log.push("end");
+					return result;
+				});
+				hook.tapAsync("Cache", (key, next, callback) => {
+					next((err, result) => {
+						if (err) return callback(err);
+						callback(null, `${result} (cached)`);
+					});
+				});
+				hook.tap("Transform", (key, next) =>
+					next().then(result => result.toUpperCase())
+				);
+				hook.tapPromise("Compute", key => Promise.resolve(`value of ${key}`));
+				expect(await hook.promise("a")).toBe("VALUE OF A (cached)");
+				expect(log).toEqual(["start", "end"]);
+				await new Promise(resolve =>
+					hook.callAsync("b", (err, result) => {
+						expect(err).toBe(null);
+						expect(result).toBe("VALUE OF B (cached)");
+						resolve();
+					})
+				);
+			});
+
+			it("should return a promise from next of async taps without callback", async () => {
+				const hook = new AsyncMiddlewareHook(["a"], undefined, { backend });
+				hook.tapAsync("Async", (a, next, callback) => {
+					next().then(
+						result => callback(null, `${result}!`),
+						err => callback(new Error(`wrapped ${err.message}`))
+					);
+				});
+				hook.tapPromise("Promise", a =>
+					a > 1 ? Promise.reject(new Error("too big")) : Promise.resolve(a)
+				);
+				expect(await hook.promise(1)).toBe("1!");
+				await expect(hook.promise(2)).rejects.toThrow("wrapped too big");
+			});
+
+			it("should report errors and call interceptors", async () => {
+				const hook = new AsyncMiddlewareHook(["a"], undefined, { backend });
+				const events = [];
+				hook.intercept({
+					call: a => events.push(["call", a]),
+					tap: tap => events.push(["tap", tap.name]),
+					result: result => events.push(["result", result]),
+					error: err => events.push(["error", err.message])
+				});
+				hook.tapPromise("Outer", (a, next) => next());
+				hook.tapAsync("Inner", (a, next, callback) =>
+					callback(a > 1 ? new Error("too big") : null, a)
+				);
+				expect(await hook.promise(1)).toBe(1);
+				await expect(hook.promise(2)).rejects.toThrow("too big");
+				expect(events).toEqual([
+					["call", 1],
+					["tap", "Outer"],
+					["tap", "Inner"],
+					["result", 1],
+					["call", 2],
+					["tap", "Outer"],
+					["tap", "Inner"],
+					["error", "too big"]
+				]);
+			});
+
+			it("should report errors of sync taps only once", () => {
+				const hook = new SyncMiddlewareHook(["a"], "transform", {
+					backend,
+					errors: "wrap"
+				});
+				const failed = [];
+				hook.intercept({ tapError: (tap, err) => failed.push(tap.name) });
+				hook.tap("Outer", (a, next) => next());
+				hook.tap("Handler", (a, next) => {
+					try {
+						return next();
+					} catch (err) {
+						if (a > 1) throw new Error(`handled ${err.cause.message}`);
+						throw err;
+					}
+				});
+				hook.tap("Inner", () => {
+					throw new Error("boom");
+				});
+				expect(() => hook.call(1)).toThrow(
+					new Error('tap "Inner" of hook "transform" failed during call: boom')
+				);
+				expect(failed).toEqual(["Inner"]);
+				expect(() => hook.call(2)).toThrow(
+					new Error(
+						'tap "Handler" of hook "transform" failed during call: handled boom'
+					)
+				);
+				expect(failed).toEqual(["Inner", "Inner", "Handler"]);
+			});
+
+			it("should report errors of async taps only once", async () => {
+				const hook = new AsyncMiddlewareHook(["a"], "transform", {
+					backend,
+					errors: "wrap"
+				});
+				const failed = [];
+				hook.intercept({ tapError: (tap, err) => failed.push(tap.name) });
+				hook.tap("Sync", (a, next) => next());
+				hook.tapAsync("Async", (a, next, callback) => next(callback));
+				hook.tapPromise("Promise", (a, next) => next());
+				hook.tapAsync("Inner", (a, next, callback) =>
+					callback(new Error("boom"))
+				);
+				await expect(hook.promise(1)).rejects.toThrow(
+					new Error(
+						'tapAsync "Inner" of hook "transform" failed during promise: boom'
+					)
+				);
+				expect(failed).toEqual(["Inner"]);
+			});
+
+			it("should resolve with undefined without taps", async () => {
+				const hook = new AsyncMiddlewareHook(["a"], undefined, { backend });
+				expect(await hook.promise(1)).toBe(undefined);
+				hook.tap("Pass", (a, next) => next());
+				expect(await hook.promise(1)).toBe(undefined);
+			});
+		});
+	}
+});
@@ -23,6 +23,42 @@ describe("MultiHook", () => {
 			]);
 		});
 	}
+	for (const name of redirectedMethods) {
+		it(`should return a disposer from ${name}`, () => {
+			const calls = [];
+			const fakeHook = {
+				[name]: (options, fn) => () => {
+					calls.push(options);
+					return true;
+				}
+			};
+			const dispose = new MultiHook([fakeHook, fakeHook])[name](
+				"options",
+				"fn"
+			);
+			expect(calls).toEqual([]);
+			expect(dispose()).toBe(true);
+			expect(calls).toEqual(["options", "options"]);
+		});
+	}
+	it("should redirect untap", () => {
+		const calls = [];
+		const fakeHook1 = {
+			untap: tap => {
+				calls.push(tap);
+				return false;
+			}
+		};
+		const fakeHook2 = {
+			untap: tap => {
+				calls.push(tap);
+				return true;
+			}
+		};
+		expect(new MultiHook([fakeHook1, fakeHook1]).untap("tap")).toBe(false);
+		expect(new MultiHook([fakeHook1, fakeHook2]).untap("tap")).toBe(true);
+		expect(calls).toEqual(["tap", "tap", "tap", "tap"]);
+	});
 	it("should redirect intercept", () => {
 		const calls = [];
 		const fakeHook = {
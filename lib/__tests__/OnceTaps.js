@@ -0,0 +1,92 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const SyncHook = require("../SyncHook");
+const SyncBailHook = require("../SyncBailHook");
+const AsyncSeriesHook = require("../AsyncSeriesHook");
+const AsyncParallelHook = require("../AsyncParallelHook");
+
+describe("once taps", () => {
+	it("should not allow async once taps on sync hooks", () => {
+		const hook = new SyncHook();
+		expect(() => hook.tapAsyncOnce("A", () => {})).toThrow(
+			"tapAsync is not supported on a SyncHook"
+		);
+		expect(() => hook.tapOnce(null, () => {})).toThrow("Invalid tap options");
+	});
+
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should remove sync once taps after the first call", () => {
+				const hook = new SyncHook(["a"], undefined, { backend });
+				const unregister = jest.fn();
+				hook.intercept({ unregister });
+				const once = jest.fn();
+				const always = jest.fn();
+				const dispose = hook.tapOnce("Once", once);
+				hook.tap("Always", always);
+				hook.call(1);
+				hook.call(2);
+				expect(once.mock.calls).toEqual([[1]]);
+				expect(always.mock.calls).toEqual([[1], [2]]);
+				expect(hook.taps.map(tap => tap.name)).toEqual(["Always"]);
+				expect(unregister).toHaveBeenCalledTimes(1);
+				expect(unregister.mock.calls[0][0].name).toBe("Once");
+				expect(dispose()).toBe(false);
+			});
+
+			it("should keep once taps until they are called", () => {
+				const hook = new SyncBailHook(["a"], undefined, { backend });
+				hook.tap("Bail", a => (a === 1 ? "bail" : undefined));
+				hook.tap({ name: "Once", once: true }, a => `once ${a}`);
+				expect(hook.call(1)).toBe("bail");
+				expect(hook.call(2)).toBe("once 2");
+				expect(hook.call(3)).toBe(undefined);
+			});
+
+			it("should support once taps in all call modes", async () => {
+				const hook = new AsyncSeriesHook(["a"], undefined, { backend });
+				const calls = [];
+				hook.tapAsyncOnce("Async", (a, callback) => {
+					calls.push(`async ${a}`);
+					callback();
+				});
+				hook.tapPromiseOnce({ name: "Promise" }, a => {
+					calls.push(`promise ${a}`);
+					return Promise.resolve();
+				});
+				hook.withOptions({ stage: 1 }).tapOnce("Sync", a => {
+					calls.push(`sync ${a}`);
+				});
+				await new Promise(resolve => hook.callAsync(1, resolve));
+				await hook.promise(2);
+				expect(calls).toEqual(["async 1", "promise 1", "sync 1"]);
+				expect(hook.isUsed()).toBe(false);
+			});
+
+			it("should call once taps only once in concurrent calls", async () => {
+				const hook = new AsyncSeriesHook(["a"], undefined, { backend });
+				const skip = jest.fn();
+				hook.intercept({ skip });
+				hook.tapAsync("Slow", (a, callback) => setTimeout(callback, 10));
+				const once = jest.fn();
+				hook.tapOnce("Once", once);
+				await Promise.all([hook.promise(1), hook.promise(2)]);
+				expect(once.mock.calls).toEqual([[1]]);
+				expect(skip).toHaveBeenCalledTimes(1);
+			});
+
+			it("should call once taps only once when called recursively", async () => {
+				const hook = new AsyncParallelHook(["a"], undefined, { backend });
+				const once = jest.fn(a => (a < 3 ? hook.promise(a + 1) : undefined));
+				hook.tapPromiseOnce("Once", once);
+				hook.tapPromise("Always", () => Promise.resolve());
+				await hook.promise(1);
+				expect(once.mock.calls).toEqual([[1]]);
+			});
+		});
+	}
+});
@@ -0,0 +1,194 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const AsyncParallelHook = require("../AsyncParallelHook");
+const AsyncParallelBailHook = require("../AsyncParallelBailHook");
+const AsyncSeriesHook = require("../AsyncSeriesHook");
+const SyncHook = require("../SyncHook");
+
+describe("concurrency of parallel hooks", () => {
+	it("should validate the concurrency", () => {
+		expect(() => new AsyncParallelHook([], "hook", { concurrency: 0 })).toThrow(
+			'Invalid concurrency "0"'
+		);
+		const hook = new AsyncParallelHook();
+		expect(() => hook.withConcurrency(1.5)).toThrow(
+			'Invalid concurrency "1.5"'
+		);
+	});
+
+	it("should only offer a per call concurrency on parallel hooks", () => {
+		expect(new SyncHook().withConcurrency).toBe(undefined);
+		expect(new AsyncSeriesHook().withConcurrency).toBe(undefined);
+	});
+
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should run at most the given number of taps at once", () => {
+				const hook = new AsyncParallelHook(["a"], undefined, {
+					backend,
+					concurrency: 2
+				});
+				const log = [];
+				const callbacks = [];
+				for (const name of ["A", "B", "C", "D"]) {
+					hook.tapAsync(name, (a, callback) => {
+						log.push(name);
+						callbacks.push(callback);
+					});
+				}
+				const result = jest.fn();
+				hook.callAsync(1, result);
+				expect(log).toEqual(["A", "B"]);
+				callbacks[1]();
+				expect(log).toEqual(["A", "B", "C"]);
+				callbacks[0]();
+				callbacks[2]();
+				expect(log).toEqual(["A", "B", "C", "D"]);
+				expect(result).not.toHaveBeenCalled();
+				callbacks[3]();
+				expect(result).toHaveBeenCalledWith();
+			});
+
+			it("should run many sync taps without growing the stack", async () => {
+				const hook = new AsyncParallelHook(["a"], undefined, {
+					backend,
+					concurrency: 3
+				});
+				let count = 0;
+				for (let i = 0; i < 2000; i++) {
+					hook.tap(`tap${i}`, () => {
+						count++;
+					});
+				}
+				await hook.promise(1);
+				expect(count).toBe(2000);
+			});
+
+			it("should not start further taps after an error", async () => {
+				const hook = new AsyncParallelHook(["a"], undefined, {
+					backend,
+					concurrency: 1
+				});
+				const log = [];
+				hook.tap("A", () => log.push("A"));
+				hook.tapPromise("B", () => Promise.reject(new Error("failed")));
+				hook.tap("C", () => log.push("C"));
+				await expect(hook.promise(1)).rejects.toThrow("failed");
+				expect(log).toEqual(["A"]);
+			});
+
+			it("should allow to set the concurrency per call", async () => {
+				const hook = new AsyncParallelHook(["a"], undefined, { backend });
+				const log = [];
+				const pending = {};
+				for (const name of ["A", "B"]) {
+					hook.tapAsync(name, (a, callback) => {
+						log.push(`start ${name}`);
+						pending[name] = callback;
+					});
+				}
+				const promise = hook.withConcurrency(1).promise(1);
+				expect(log).toEqual(["start A"]);
+				pending.A();
+				expect(log).toEqual(["start A", "start B"]);
+				pending.B();
+				await promise;
+
+				log.length = 0;
+				hook.callAsync(1, () => {});
+				expect(log).toEqual(["start A", "start B"]);
+			});
+
+			it("should keep the concurrency of a call deferred by an interceptor", async () => {
+				const hook = new AsyncParallelHook(["a"], undefined, { backend });
+				hook.intercept({
+					around: (args, next) => Promise.resolve().then(next)
+				});
+				const log = [];
+				const pending = {};
+				for (const name of ["A", "B"]) {
+					hook.tapAsync(name, (a, callback) => {
+						log.push(`start ${a}${name}`);
+						pending[a + name] = callback;
+					});
+				}
+				const limited = hook.withConcurrency(1).promise(1);
+				const unlimited = hook.promise(2);
+				await Promise.resolve();
+				await Promise.resolve();
+				expect(log).toEqual(["start 1A", "start 2A", "start 2B"]);
+				pending["1A"]();
+				expect(log).toEqual(["start 1A", "start 2A", "start 2B", "start 1B"]);
+				pending["1B"]();
+				pending["2A"]();
+				pending["2B"]();
+				await Promise.all([limited, unlimited]);
+			});
+
+			it("should not pass the concurrency on to nested calls", async () => {
+				const inner = new AsyncParallelHook(["a"], undefined, { backend });
+				const outer = new AsyncParallelHook(["a"], undefined, { backend });
+				const log = [];
+				for (const name of ["A", "B"]) {
+					inner.tapAsync(name, () => log.push(`start ${name}`));
+				}
+				outer.tap("Outer", a => {
+					inner.callAsync(a, () => {});
+				});
+				await outer.withConcurrency(1).promise(1);
+				expect(log).toEqual(["start A", "start B"]);
+			});
+
+			it("should keep the in order bail semantics", () => {
+				const hook = new AsyncParallelBailHook(["a"], undefined, {
+					backend,
+					concurrency: 2
+				});
+				const log = [];
+				const callbacks = {};
+				for (const name of ["A", "B", "C", "D"]) {
+					hook.tapAsync(name, (a, callback) => {
+						log.push(name);
+						callbacks[name] = callback;
+					});
+				}
+				const result = jest.fn();
+				hook.callAsync(1, result);
+				expect(log).toEqual(["A", "B"]);
+				callbacks.B(null, "B");
+				expect(log).toEqual(["A", "B"]);
+				expect(result).not.toHaveBeenCalled();
+				callbacks.A();
+				expect(result).toHaveBeenCalledWith(null, "B");
+				expect(log).toEqual(["A", "B"]);
+			});
+
+			it("should start later taps while earlier ones have no result", () => {
+				const hook = new AsyncParallelBailHook(["a"], undefined, {
+					backend,
+					concurrency: 2
+				});
+				const log = [];
+				const callbacks = {};
+				for (const name of ["A", "B", "C"]) {
+					hook.tapAsync(name, (a, callback) => {
+						log.push(name);
+						callbacks[name] = callback;
+					});
+				}
+				const result = jest.fn();
+				hook.callAsync(1, result);
+				callbacks.B();
+				expect(log).toEqual(["A", "B", "C"]);
+				callbacks.C(null, "C");
+				expect(result).not.toHaveBeenCalled();
+				callbacks.A();
+				expect(result).toHaveBeenCalledWith(null, "C");
+			});
+		});
+	}
+});
@@ -0,0 +1,120 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const SyncHook = require("../SyncHook");
+const AsyncSeriesHook = require("../AsyncSeriesHook");
+const HookMap = require("../HookMap");
+const MultiHook = require("../MultiHook");
+
+describe("sealed hooks", () => {
+	let warn;
+
+	beforeEach(() => {
+		warn = jest.spyOn(process, "emitWarning").mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		warn.mockRestore();
+	});
+
+	it("should not allow to tap or intercept a sealed hook", () => {
+		const hook = new AsyncSeriesHook(["a"], "done");
+		const fn = jest.fn();
+		hook.tap("Before", fn);
+		expect(hook.isSealed()).toBe(false);
+		hook.seal();
+		expect(hook.isSealed()).toBe(true);
+		expect(() => hook.tap("Late", () => {})).toThrow(
+			`Can't add tap "Late" to sealed hook "done"`
+		);
+		expect(() =>
+			hook.withOptions({ stage: 1 }).tapPromise({ name: "Late" }, () => {})
+		).toThrow(`Can't add tap "Late" to sealed hook "done"`);
+		expect(() => hook.intercept({ name: "Logger", call: () => {} })).toThrow(
+			`Can't add interceptor "Logger" to sealed hook "done"`
+		);
+		expect(() => hook.intercept({})).toThrow(
+			`Can't add an interceptor to sealed hook "done"`
+		);
+		expect(hook.taps.map(tap => tap.name)).toEqual(["Before"]);
+		hook.callAsync(1, () => {});
+		expect(fn).toHaveBeenCalledTimes(1);
+		expect(hook.untap("Before")).toBe(true);
+		expect(() => hook.seal("silent")).toThrow('Invalid seal mode "silent"');
+	});
+
+	it("should warn about taps added to a hook sealed in warn mode", () => {
+		const hook = new SyncHook();
+		hook.seal("warn");
+		const fn = jest.fn();
+		hook.tap("Late", fn);
+		hook.call();
+		expect(fn).toHaveBeenCalledTimes(1);
+		expect(warn).toHaveBeenCalledTimes(1);
+		const warning = warn.mock.calls[0][0];
+		expect(warning.name).toBe("SealedHookWarning");
+		expect(warning.code).toBe("TAPABLE_SEALED");
+		expect(warning.message).toBe(
+			`Can't add tap "Late" to sealed hook (unnamed)`
+		);
+	});
+
+	it("should seal the hooks of a HookMap", () => {
+		const map = new HookMap(() => new SyncHook(), "stages");
+		const existing = map.for("a");
+		map.seal();
+		expect(map.isSealed()).toBe(true);
+		expect(existing.isSealed()).toBe(true);
+		expect(map.for("a")).toBe(existing);
+		expect(() => map.for("b")).toThrow(
+			`Can't create hook for key "b" in sealed HookMap "stages"`
+		);
+		expect(map.get("b")).toBe(undefined);
+		expect(() => map.intercept({ factory: (key, hook) => hook })).toThrow(
+			`Can't add an interceptor to sealed HookMap "stages"`
+		);
+		expect(map._interceptors).toEqual([]);
+		expect(() => map.seal("silent")).toThrow('Invalid seal mode "silent"');
+	});
+
+	it("should create sealed hooks for new keys of a HookMap sealed in warn mode", () => {
+		const map = new HookMap(() => new SyncHook([], "stage"));
+		map.seal("warn");
+		const hook = map.for(1);
+		expect(hook.isSealed()).toBe(true);
+		hook.tap("A", () => {});
+		expect(warn.mock.calls.map(([warning]) => warning.message)).toEqual([
+			`Can't create hook for key "1" in sealed HookMap (unnamed)`,
+			`Can't add tap "A" to sealed hook "stage"`
+		]);
+	});
+
+	it("should seal all hooks of a MultiHook", () => {
+		const hook1 = new SyncHook();
+		const hook2 = new SyncHook([], "second");
+		const multi = new MultiHook([hook1, hook2]);
+		hook1.seal();
+		expect(multi.isSealed()).toBe(false);
+		multi.seal();
+		expect(multi.isSealed()).toBe(true);
+		expect(hook2.isSealed()).toBe(true);
+		expect(() => multi.tap("A", () => {})).toThrow(
+			`Can't add tap "A" to sealed hook (unnamed)`
+		);
+	});
+
+	it("should seal hooks through withOptions", () => {
+		const hook1 = new SyncHook();
+		const hook2 = new SyncHook([], "second");
+		const multi = new MultiHook([hook1, hook2]).withOptions({ stage: 1 });
+		expect(multi.isSealed()).toBe(false);
+		multi.seal("warn");
+		expect(hook1.isSealed()).toBe(true);
+		expect(hook2.isSealed()).toBe(true);
+		multi.tap("A", () => {});
+		expect(warn).toHaveBeenCalledTimes(2);
+	});
+});
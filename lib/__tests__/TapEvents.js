@@ -0,0 +1,127 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const SyncHook = require("../SyncHook");
+const SyncBailHook = require("../SyncBailHook");
+const AsyncSeriesHook = require("../AsyncSeriesHook");
+const AsyncParallelBailHook = require("../AsyncParallelBailHook");
+
+const recordTapEvents = (hook, log) =>
+	hook.intercept({
+		tapResult: (tap, result) => log.push(["result", tap.name, result]),
+		tapError: (tap, err) => log.push(["error", tap.name, err.message]),
+		tapDone: tap => log.push(["done", tap.name])
+	});
+
+describe("tap events", () => {
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should report the outcome of sync taps", () => {
+				const hook = new SyncHook(["a"], undefined, { backend });
+				const log = [];
+				recordTapEvents(hook, log);
+				hook.tap("A", a => a * 2);
+				hook.tap("B", a => {
+					if (a > 1) throw new Error("too big");
+				});
+				hook.call(1);
+				expect(() => hook.call(2)).toThrow("too big");
+				expect(log).toEqual([
+					["result", "A", 2],
+					["done", "A"],
+					["result", "B", undefined],
+					["done", "B"],
+					["result", "A", 4],
+					["done", "A"],
+					["error", "B", "too big"]
+				]);
+			});
+
+			it("should report the outcome of async and promise taps", async () => {
+				const hook = new AsyncSeriesHook(["a"], undefined, { backend });
+				const log = [];
+				recordTapEvents(hook, log);
+				hook.tap("Sync", () => "sync");
+				hook.tapAsync("Async", (a, callback) =>
+					callback(a === 2 ? new Error("async") : null, "async")
+				);
+				hook.tapPromise("Promise", a =>
+					a === 3 ? Promise.reject(new Error("promise")) : Promise.resolve(a)
+				);
+				await hook.promise(1);
+				await expect(hook.promise(2)).rejects.toThrow("async");
+				await expect(hook.promise(3)).rejects.toThrow("promise");
+				expect(log).toEqual([
+					["result", "Sync", "sync"],
+					["done", "Sync"],
+					["result", "Async", "async"],
+					["done", "Async"],
+					["result", "Promise", 1],
+					["done", "Promise"],
+					["result", "Sync", "sync"],
+					["done", "Sync"],
+					["error", "Async", "async"],
+					["result", "Sync", "sync"],
+					["done", "Sync"],
+					["result", "Async", "async"],
+					["done", "Async"],
+					["error", "Promise", "promise"]
+				]);
+			});
+
+			it("should report results of taps bailing out", done => {
+				const hook = new AsyncParallelBailHook(["a"], undefined, { backend });
+				const log = [];
+				recordTapEvents(hook, log);
+				hook.tapAsync("A", (a, callback) => callback(null, "a"));
+				hook.tapPromise("B", () => Promise.resolve());
+				hook.callAsync(1, (err, result) => {
+					expect(err).toBe(null);
+					expect(result).toBe("a");
+					expect(log).toEqual([["result", "A", "a"], ["done", "A"]]);
+					done();
+				});
+			});
+
+			it("should report errors of taps timing out", done => {
+				const hook = new AsyncSeriesHook(["a"], "emit", {
+					backend,
+					timeout: 10
+				});
+				const log = [];
+				recordTapEvents(hook, log);
+				hook.tapAsync("Slow", () => {});
+				hook.callAsync(1, err => {
+					expect(err.code).toBe("ETIMEDOUT");
+					expect(log).toEqual([["error", "Slow", err.message]]);
+					done();
+				});
+			});
+
+			it("should pass the wrapped error and the context", () => {
+				const hook = new SyncBailHook(["a"], "resolve", {
+					backend,
+					errors: "wrap"
+				});
+				const log = [];
+				hook.intercept({
+					context: true,
+					tapError: (context, tap, err) => {
+						context.failed = tap.name;
+						log.push([tap.name, err.hookName]);
+					},
+					tapDone: (context, tap) => log.push([tap.name, context.failed])
+				});
+				hook.tap({ name: "A", context: true }, () => undefined);
+				hook.tap("B", () => {
+					throw new Error("fail");
+				});
+				expect(() => hook.call(1)).toThrow("fail");
+				expect(log).toEqual([["A", undefined], ["B", "resolve"]]);
+			});
+		});
+	}
+});
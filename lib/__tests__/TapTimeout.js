@@ -0,0 +1,146 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const TimeoutError = require("../TimeoutError");
+const AsyncSeriesHook = require("../AsyncSeriesHook");
+const AsyncParallelHook = require("../AsyncParallelHook");
+const AsyncSeriesWaterfallHook = require("../AsyncSeriesWaterfallHook");
+
+describe("tap timeouts", () => {
+	beforeEach(() => {
+		jest.useFakeTimers();
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+	});
+
+	it("should validate timeout options", () => {
+		expect(() => new AsyncSeriesHook([], "hook", { timeout: -1 })).toThrow(
+			'Invalid timeout option "-1"'
+		);
+		const hook = new AsyncSeriesHook();
+		expect(() =>
+			hook.tapAsync({ name: "A", warnAfter: "10" }, () => {})
+		).toThrow('Invalid warnAfter option "10"');
+		expect(() => hook.tapAsync({ name: "A", timeout: 0 }, () => {})).toThrow(
+			'Invalid timeout option "0"'
+		);
+		expect(() =>
+			hook.tapAsync({ name: "A", timeout: 2 ** 31 }, () => {})
+		).toThrow('Invalid timeout option "2147483648"');
+		expect(hook.taps).toEqual([]);
+	});
+
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should fail async taps which don't call their callback", () => {
+				const hook = new AsyncSeriesHook(["a"], "build", { backend });
+				const calls = [];
+				let callback;
+				hook.tapAsync({ name: "Forgetful", timeout: 100 }, (a, cb) => {
+					calls.push("Forgetful");
+					callback = cb;
+				});
+				hook.tap("Next", () => calls.push("Next"));
+				const result = jest.fn();
+				hook.callAsync(1, result);
+				jest.advanceTimersByTime(99);
+				expect(result).not.toHaveBeenCalled();
+				jest.advanceTimersByTime(1);
+				expect(result).toHaveBeenCalledTimes(1);
+				const err = result.mock.calls[0][0];
+				expect(err).toBeInstanceOf(TimeoutError);
+				expect(err.message).toBe(
+					'tapAsync "Forgetful" of hook "build" did not finish within 100ms'
+				);
+				expect(err.tapName).toBe("Forgetful");
+				expect(err.timeout).toBe(100);
+				callback();
+				expect(result).toHaveBeenCalledTimes(1);
+				expect(calls).toEqual(["Forgetful"]);
+			});
+
+			it("should use the timeout of the hook as default", async () => {
+				const hook = new AsyncParallelHook(["a"], "build", {
+					backend,
+					timeout: 50
+				});
+				hook.tapPromise("Hanging", () => new Promise(() => {}));
+				hook.tapPromise({ name: "Patient", timeout: 1000 }, () =>
+					Promise.resolve()
+				);
+				const promise = hook.promise(1);
+				jest.advanceTimersByTime(50);
+				const err = await promise.catch(err => err);
+				expect(err).toBeInstanceOf(TimeoutError);
+				expect(err.message).toBe(
+					'tapPromise "Hanging" of hook "build" did not finish within 50ms'
+				);
+			});
+
+			it("should not start timers for taps with an infinite timeout", async () => {
+				const hook = new AsyncSeriesHook(["a"], "build", {
+					backend,
+					timeout: 50,
+					warnAfter: 10
+				});
+				const slow = jest.fn();
+				hook.intercept({ slow });
+				let callback;
+				hook.tapAsync(
+					{ name: "Watcher", timeout: Infinity, warnAfter: Infinity },
+					(a, cb) => {
+						callback = cb;
+					}
+				);
+				const promise = hook.promise(1);
+				jest.advanceTimersByTime(1000);
+				callback(null);
+				await promise;
+				expect(slow).not.toHaveBeenCalled();
+			});
+
+			it("should not fail taps finishing in time", async () => {
+				const hook = new AsyncSeriesWaterfallHook(["value"], undefined, {
+					backend,
+					timeout: 100
+				});
+				hook.tapAsync("A", (value, callback) => callback(null, value + 1));
+				hook.tapPromise(
+					"B",
+					value =>
+						new Promise(resolve => setTimeout(() => resolve(value * 2), 50))
+				);
+				const promise = hook.promise(1);
+				jest.advanceTimersByTime(50);
+				expect(await promise).toBe(4);
+				jest.advanceTimersByTime(1000);
+			});
+
+			it("should report slow taps to interceptors without failing", async () => {
+				const hook = new AsyncSeriesHook(["a"], undefined, {
+					backend,
+					warnAfter: 100
+				});
+				const slow = jest.fn();
+				hook.intercept({ slow });
+				hook.tapAsync("Slow", (a, callback) => setTimeout(callback, 150));
+				hook.tapAsync("Fast", (a, callback) => setTimeout(callback, 10));
+				hook.tap("Sync", () => {});
+				const result = jest.fn();
+				hook.callAsync(1, result);
+				jest.advanceTimersByTime(150);
+				expect(slow).toHaveBeenCalledTimes(1);
+				expect(slow.mock.calls[0][0].name).toBe("Slow");
+				expect(slow.mock.calls[0][1]).toBe(100);
+				jest.advanceTimersByTime(1000);
+				expect(slow).toHaveBeenCalledTimes(1);
+				expect(result).toHaveBeenCalledWith();
+			});
+		});
+	}
+});
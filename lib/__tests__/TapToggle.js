@@ -0,0 +1,98 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const SyncHook = require("../SyncHook");
+const SyncWaterfallHook = require("../SyncWaterfallHook");
+const AsyncParallelHook = require("../AsyncParallelHook");
+const MultiHook = require("../MultiHook");
+
+describe("tap toggles", () => {
+	it("should validate the enabled option", () => {
+		const hook = new SyncHook();
+		expect(() => hook.tap({ name: "A", enabled: "no" }, () => {})).toThrow(
+			'Invalid enabled option "no"'
+		);
+		expect(() => hook.disableTap(1)).toThrow("Invalid tap to toggle");
+	});
+
+	it("should toggle taps of all hooks of a MultiHook", () => {
+		const hook1 = new SyncHook();
+		const hook2 = new SyncHook();
+		const multi = new MultiHook([hook1, hook2]);
+		const tap = jest.fn();
+		multi.tap("A", tap);
+		expect(multi.disableTap("A")).toBe(true);
+		hook1.call();
+		hook2.call();
+		expect(tap).not.toHaveBeenCalled();
+		expect(multi.enableTap("A")).toBe(true);
+		expect(multi.enableTap("B")).toBe(false);
+		hook1.call();
+		expect(tap).toHaveBeenCalledTimes(1);
+	});
+
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should skip disabled taps and keep their position", () => {
+				const hook = new SyncWaterfallHook(["value"], undefined, { backend });
+				hook.tap("A", value => `${value}a`);
+				hook.tap({ name: "B", enabled: false }, value => `${value}b`);
+				hook.tap("C", value => `${value}c`);
+				expect(hook.call("")).toBe("ac");
+				expect(hook.enableTap("B")).toBe(true);
+				expect(hook.call("")).toBe("abc");
+				expect(hook.disableTap("A")).toBe(true);
+				expect(hook.call("")).toBe("bc");
+				expect(hook.disableTap("Unknown")).toBe(false);
+				expect(hook.taps.map(tap => [tap.name, tap.enabled])).toEqual([
+					["A", false],
+					["B", true],
+					["C", undefined]
+				]);
+			});
+
+			it("should pass the enabled taps to interceptors", async () => {
+				const hook = new AsyncParallelHook(["a"], undefined, { backend });
+				const events = [];
+				hook.intercept({
+					tap: tap => events.push(["tap", tap.name]),
+					toggle: (tap, enabled) => events.push(["toggle", tap.name, enabled])
+				});
+				hook.tap("A", () => {});
+				hook.tapPromise("B", () => Promise.resolve());
+				hook.tapAsync("C", (a, callback) => callback());
+				const tapB = hook.taps[1];
+				expect(hook.disableTap(tapB)).toBe(true);
+				expect(hook.disableTap(tapB)).toBe(true);
+				await hook.promise(1);
+				hook.enableTap("B");
+				hook.disableTap("A");
+				hook.disableTap("C");
+				await hook.promise(1);
+				expect(events).toEqual([
+					["toggle", "B", false],
+					["tap", "A"],
+					["tap", "C"],
+					["toggle", "B", true],
+					["toggle", "A", false],
+					["toggle", "C", false],
+					["tap", "B"]
+				]);
+			});
+
+			it("should resolve without calls when all taps are disabled", () => {
+				const hook = new SyncHook(["a"], undefined, { backend });
+				const tap = jest.fn();
+				hook.tap("A", tap);
+				hook.tap("A", tap);
+				expect(hook.disableTap("A")).toBe(true);
+				hook.call(1);
+				expect(tap).not.toHaveBeenCalled();
+				expect(hook.isUsed()).toBe(true);
+			});
+		});
+	}
+});
@@ -0,0 +1,121 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const SyncHook = require("../SyncHook");
+const SyncBailHook = require("../SyncBailHook");
+const AsyncSeriesHook = require("../AsyncSeriesHook");
+
+describe("tap transfer", () => {
+	it("should refuse taps the target hook doesn't support", () => {
+		const source = new AsyncSeriesHook(["a"]);
+		source.tap("Sync", () => {});
+		source.tapAsync("Async", (a, callback) => callback());
+		const target = new SyncHook(["a"]);
+		target.tap("Existing", () => {});
+		expect(() => source.moveTapsTo(target)).toThrow(
+			"tapAsync is not supported on a SyncHook"
+		);
+		expect(target.taps.map(tap => tap.name)).toEqual(["Existing"]);
+		expect(source.taps.map(tap => tap.name)).toEqual(["Sync", "Async"]);
+		expect(() => source.copyTapsTo(source)).toThrow(
+			"Can't transfer taps to the same hook"
+		);
+	});
+
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should clone hooks with their taps and interceptors", () => {
+				const hook = new SyncBailHook(["a"], "resolve", { backend });
+				const calls = [];
+				hook.intercept({ call: a => calls.push(["call", a]) });
+				hook.tap("A", a => (a === 1 ? "a" : undefined));
+				hook.tap({ name: "B", stage: 1 }, () => "b");
+				const clone = hook.clone();
+				expect(clone.constructor).toBe(SyncBailHook);
+				expect(clone.name).toBe("resolve");
+				expect(clone.call(1)).toBe("a");
+				expect(clone.call(2)).toBe("b");
+				clone.tap({ name: "C", stage: -1 }, () => "c");
+				clone.intercept({ call: a => calls.push(["clone", a]) });
+				expect(clone.call(3)).toBe("c");
+				expect(hook.call(3)).toBe("b");
+				expect(hook.taps.map(tap => tap.name)).toEqual(["A", "B"]);
+				expect(hook.interceptors.length).toBe(1);
+				expect(calls).toEqual([
+					["call", 1],
+					["call", 2],
+					["call", 3],
+					["clone", 3],
+					["call", 3]
+				]);
+			});
+
+			it("should copy taps respecting the order of the target", async () => {
+				const source = new SyncHook(["log"], undefined, { backend });
+				source.tap({ name: "Early", stage: -10 }, log => log.push("Early"));
+				source.tap({ name: "Late", stage: 10 }, log => log.push("Late"));
+				source.tap("Skipped", log => log.push("Skipped"));
+				const target = new AsyncSeriesHook(["log"], undefined, { backend });
+				target.tapPromise("Target", async log => log.push("Target"));
+				const filter = tap => tap.name !== "Skipped";
+				expect(source.copyTapsTo(target, filter)).toBe(2);
+				const log = [];
+				await target.promise(log);
+				expect(log).toEqual(["Early", "Target", "Late"]);
+				source.call(log);
+				expect(log.slice(3)).toEqual(["Early", "Skipped", "Late"]);
+			});
+
+			it("should move taps to another hook", () => {
+				const source = new SyncHook(["log"], undefined, { backend });
+				const register = jest.fn(tap => tap);
+				const target = new SyncHook(["log"], undefined, { backend });
+				target.intercept({ register });
+				source.tap("A", log => log.push("A"));
+				source.tap("B", log => log.push("B"));
+				const log = [];
+				source.call(log);
+				expect(source.moveTapsTo(target, tap => tap.name === "A")).toBe(1);
+				source.call(log);
+				target.call(log);
+				expect(log).toEqual(["A", "B", "B", "A"]);
+				expect(register).toHaveBeenCalledTimes(1);
+				expect(source.moveTapsTo(target)).toBe(1);
+				expect(source.isUsed()).toBe(false);
+				expect(target.taps.map(tap => tap.name)).toEqual(["A", "B"]);
+			});
+
+			it("should transfer taps without the changes of register interceptors", () => {
+				const source = new SyncHook(["log"], undefined, { backend });
+				const wrap = label => ({
+					register: tap =>
+						Object.assign({}, tap, {
+							name: `${label}(${tap.name})`,
+							fn: log => {
+								log.push(label);
+								return tap.fn(log);
+							}
+						})
+				});
+				source.tap("A", log => log.push("A"));
+				source.intercept(wrap("source"));
+				source.tap("B", log => log.push("B"));
+				source.disableTap("source(B)");
+				const target = new SyncHook(["log"], undefined, { backend });
+				target.intercept(wrap("target"));
+				expect(source.copyTapsTo(target)).toBe(2);
+				expect(target.taps.map(tap => [tap.name, tap.enabled])).toEqual([
+					["target(A)", undefined],
+					["target(B)", false]
+				]);
+				const log = [];
+				target.call(log);
+				source.call(log);
+				expect(log).toEqual(["target", "A", "source", "A"]);
+			});
+		});
+	}
+});
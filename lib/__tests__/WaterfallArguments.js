@@ -0,0 +1,111 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const SyncWaterfallHook = require("../SyncWaterfallHook");
+const AsyncSeriesWaterfallHook = require("../AsyncSeriesWaterfallHook");
+
+describe("waterfall arguments", () => {
+	it("should validate the waterfall option", () => {
+		expect(
+			() => new SyncWaterfallHook(["a"], "hook", { waterfall: "a" })
+		).toThrow(
+			"Invalid waterfall option, expected true or an array of argument names"
+		);
+		expect(
+			() => new SyncWaterfallHook(["a"], "hook", { waterfall: ["a", "b"] })
+		).toThrow('Invalid waterfall option, "b" is not an argument of the hook');
+	});
+
+	for (const backend of ["codegen", "interpreter"]) {
+		describe(`(${backend})`, () => {
+			it("should thread all arguments returned as tuple", () => {
+				const hook = new SyncWaterfallHook(["source", "map"], undefined, {
+					backend,
+					waterfall: true
+				});
+				expect(hook.call("a", null)).toEqual(["a", null]);
+				hook.tap("Minify", (source, map) => [
+					source.trim(),
+					{ from: map, by: "Minify" }
+				]);
+				hook.tap("Inspect", () => undefined);
+				hook.tap("Banner", (source, map) => [`/* banner */${source}`]);
+				hook.tap("Check", (source, map) => {
+					expect(source).toBe("/* banner */a");
+					expect(map).toEqual({ from: null, by: "Minify" });
+				});
+				expect(hook.call(" a ", null)).toEqual([
+					"/* banner */a",
+					{ from: null, by: "Minify" }
+				]);
+			});
+
+			it("should thread arguments returned as object", () => {
+				const hook = new SyncWaterfallHook(["source", "map"], undefined, {
+					backend,
+					waterfall: true
+				});
+				hook.tap("Map", (source, map) => ({ map: `${map}+map` }));
+				hook.tap("Source", source => ({ source: `${source}+source` }));
+				expect(hook.call("s", "m")).toEqual(["s+source", "m+map"]);
+			});
+
+			it("should keep the arguments when a tap returns no tuple or object", async () => {
+				const hook = new AsyncSeriesWaterfallHook(
+					["source", "map"],
+					undefined,
+					{
+						backend,
+						waterfall: true
+					}
+				);
+				hook.tap("Null", () => null);
+				hook.tapPromise("Number", () => Promise.resolve(42));
+				hook.tapAsync("String", (source, map, callback) =>
+					callback(null, "ignored")
+				);
+				expect(await hook.promise("s", "m")).toEqual(["s", "m"]);
+			});
+
+			it("should only thread the declared arguments", async () => {
+				const hook = new AsyncSeriesWaterfallHook(
+					["compilation", "source", "map"],
+					undefined,
+					{ backend, waterfall: ["map", "source"] }
+				);
+				const compilation = { name: "main" };
+				hook.tapPromise("A", (compilation, source, map) =>
+					Promise.resolve([`${map}!`, `${source}!`])
+				);
+				hook.tapAsync("B", (compilation, source, map, callback) =>
+					callback(null, {
+						compilation: "ignored",
+						source: source + compilation.name
+					})
+				);
+				hook.tap("C", (c, source, map) => {
+					expect(c).toBe(compilation);
+				});
+				expect(await hook.promise(compilation, "s", "m")).toEqual([
+					"m!",
+					"s!main"
+				]);
+			});
+
+			it("should keep threading the first argument by default", done => {
+				const hook = new AsyncSeriesWaterfallHook(["a", "b"], undefined, {
+					backend
+				});
+				hook.tap("A", (a, b) => [a, b]);
+				hook.callAsync(1, 2, (err, result) => {
+					expect(err).toBe(null);
+					expect(result).toEqual([1, 2]);
+					done();
+				});
+			});
+		});
+	}
+});
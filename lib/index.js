@@ -9,11 +9,23 @@ exports.SyncHook = require("./SyncHook");
 exports.SyncBailHook = require("./SyncBailHook");
 exports.SyncWaterfallHook = require("./SyncWaterfallHook");
 exports.SyncLoopHook = require("./SyncLoopHook");
+exports.SyncCollectHook = require("./SyncCollectHook");
+exports.SyncMiddlewareHook = require("./SyncMiddlewareHook");
 exports.AsyncParallelHook = require("./AsyncParallelHook");
 exports.AsyncParallelBailHook = require("./AsyncParallelBailHook");
+exports.AsyncParallelSettledHook = require("./AsyncParallelSettledHook");
+exports.AsyncParallelCollectHook = require("./AsyncParallelCollectHook");
+exports.AsyncRaceHook = require("./AsyncRaceHook");
 exports.AsyncSeriesHook = require("./AsyncSeriesHook");
 exports.AsyncSeriesBailHook = require("./AsyncSeriesBailHook");
 exports.AsyncSeriesLoopHook = require("./AsyncSeriesLoopHook");
 exports.AsyncSeriesWaterfallHook = require("./AsyncSeriesWaterfallHook");
+exports.AsyncSeriesCollectHook = require("./AsyncSeriesCollectHook");
+exports.AsyncMiddlewareHook = require("./AsyncMiddlewareHook");
 exports.HookMap = require("./HookMap");
 exports.MultiHook = require("./MultiHook");
+exports.HookProfiler = require("./HookProfiler");
+exports.HookError = require("./HookError");
+exports.AbortError = require("./AbortError");
+exports.TimeoutError = require("./TimeoutError");
+exports.setDefaultBackend = require("./Hook").setDefaultBackend;
@@ -0,0 +1,40 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+"use strict";
+
+const SEAL_MODES = new Set(["throw", "warn"]);
+
+/**
+ * @param {any} mode the mode passed to `seal`
+ * @returns {void}
+ */
+exports.validateSealMode = mode => {
+	if (!SEAL_MODES.has(mode)) {
+		throw new Error(`Invalid seal mode "${mode}"`);
+	}
+};
+
+/**
+ * Reports a change of a sealed hook or HookMap. It throws in "throw" mode
+ * and emits a process warning with the code "TAPABLE_SEALED" in "warn" mode.
+ * @param {"throw" | "warn" | undefined} mode the seal mode, undefined when not sealed
+ * @param {string} message describes the change
+ * @returns {void}
+ */
+exports.checkSealed = (mode, message) => {
+	if (mode === undefined) return;
+	if (mode !== "warn") throw new Error(message);
+	const warning = new Error(message);
+	warning.name = "SealedHookWarning";
+	warning.code = "TAPABLE_SEALED";
+	if (
+		typeof process === "object" &&
+		typeof process.emitWarning === "function"
+	) {
+		process.emitWarning(warning);
+	} else {
+		console.warn(`${warning.name}: ${message}`);
+	}
+};
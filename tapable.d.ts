@@ -39,58 +39,244 @@ type Tap = TapOptions & {
 
 type TapOptions = {
 	before?: string;
+	after?: string | string[];
+	requires?: string | string[];
 	stage?: number;
+	enabled?: boolean;
+	when?: (...args: any[]) => boolean;
+	once?: boolean;
+	signal?: boolean;
+	timeout?: number;
+	warnAfter?: number;
 };
 
 interface HookInterceptor<T, R, AdditionalOptions = UnsetAdditionalOptions> {
 	name?: string;
+	stage?: number;
 	tap?: (tap: FullTap & IfSet<AdditionalOptions>) => void;
 	call?: (...args: any[]) => void;
 	loop?: (...args: any[]) => void;
 	error?: (err: Error) => void;
 	result?: (result: R) => void;
 	done?: () => void;
+	abort?: (err: AbortError) => void;
+	slow?: (tap: FullTap & IfSet<AdditionalOptions>, elapsed: number) => void;
 	register?: (tap: FullTap & IfSet<AdditionalOptions>) => FullTap & IfSet<AdditionalOptions>;
+	unregister?: (tap: FullTap & IfSet<AdditionalOptions>) => void;
+	skip?: (tap: FullTap & IfSet<AdditionalOptions>) => void;
+	tapResult?: (tap: FullTap & IfSet<AdditionalOptions>, result: any) => void;
+	tapError?: (tap: FullTap & IfSet<AdditionalOptions>, error: Error) => void;
+	tapDone?: (tap: FullTap & IfSet<AdditionalOptions>) => void;
+	around?: (args: any[], next: (args?: any[]) => R | Promise<R>) => R | Promise<R>;
+	aroundTap?: (
+		tap: FullTap & IfSet<AdditionalOptions>,
+		args: any[],
+		next: (args?: any[]) => any
+	) => any;
+	toggle?: (tap: FullTap & IfSet<AdditionalOptions>, enabled: boolean) => void;
 }
 
+type TapDisposer = () => boolean;
+
 type ArgumentNames<T extends any[]> = FixedSizeArray<T["length"], string>;
 
-declare class Hook<T, R, AdditionalOptions = UnsetAdditionalOptions> {
-	constructor(args?: ArgumentNames<AsArray<T>>, name?: string);
+type HookBackend = "codegen" | "interpreter";
+
+type SealMode = "throw" | "warn";
+
+interface HookOptions {
+	backend?: HookBackend;
+	errors?: "wrap" | "annotate";
+	timeout?: number;
+	warnAfter?: number;
+	waterfall?: true | string[];
+	latch?: "first" | "last";
+	concurrency?: number;
+	withNames?: boolean;
+	failFast?: boolean;
+	bail?: (result: any) => boolean;
+	defaultResult?: any;
+	maxIterations?: number;
+}
+
+interface HookErrorDetails {
+	hookName: string | undefined;
+	tapName: string;
+	tapType: "sync" | "async" | "promise";
+	callMode: "call" | "callAsync" | "promise";
+}
+
+export class HookError extends Error implements HookErrorDetails {
+	constructor(error: any, details: HookErrorDetails);
+	cause: any;
+	hookName: string | undefined;
+	tapName: string;
+	tapType: "sync" | "async" | "promise";
+	callMode: "call" | "callAsync" | "promise";
+	static annotate<E>(error: E, details: HookErrorDetails): E;
+}
+
+export class AbortError extends Error {
+	constructor(reason?: any);
+	code: "ABORT_ERR";
+	cause?: any;
+}
+
+export class TimeoutError extends Error {
+	constructor(details: {
+		hookName: string | undefined;
+		tapName: string;
+		tapType: "async" | "promise";
+		timeout: number;
+	});
+	code: "ETIMEDOUT";
+	hookName: string | undefined;
+	tapName: string;
+	tapType: "async" | "promise";
+	timeout: number;
+}
+
+interface AbortSignalLike {
+	readonly aborted: boolean;
+	readonly reason?: any;
+	addEventListener(type: "abort", listener: () => void): void;
+	removeEventListener(type: "abort", listener: () => void): void;
+}
+
+export function setDefaultBackend(backend: HookBackend): void;
+
+/**
+ * Middleware hooks pass a `next` function to their taps, so the `tap` method
+ * is declared by the subclasses.
+ */
+declare class BaseHook<T, R, AdditionalOptions = UnsetAdditionalOptions> {
+	constructor(args?: ArgumentNames<AsArray<T>>, name?: string, options?: HookOptions);
 	name: string | undefined;
-	intercept(interceptor: HookInterceptor<T, R, AdditionalOptions>): void;
+	intercept(interceptor: HookInterceptor<T, R, AdditionalOptions>): () => boolean;
 	isUsed(): boolean;
+	reset(): void;
+	createChild(name?: string): this;
+	clone(name?: string): this;
+	copyTapsTo(hook: BaseHook<any, any, any>, filter?: (tap: FullTap & IfSet<AdditionalOptions>) => boolean): number;
+	moveTapsTo(hook: BaseHook<any, any, any>, filter?: (tap: FullTap & IfSet<AdditionalOptions>) => boolean): number;
+	seal(mode?: SealMode): void;
+	isSealed(): boolean;
 	callAsync(...args: Append<AsArray<T>, Callback<Error, R>>): void;
 	promise(...args: AsArray<T>): Promise<R>;
-	tap(options: string | Tap & IfSet<AdditionalOptions>, fn: (...args: AsArray<T>) => R): void;
+	withSignal(signal: AbortSignalLike): Pick<this, "callAsync" | "promise">;
+	untap(tap: string | FullTap & IfSet<AdditionalOptions>): boolean;
+	disableTap(tap: string | FullTap & IfSet<AdditionalOptions>): boolean;
+	enableTap(tap: string | FullTap & IfSet<AdditionalOptions>): boolean;
 	withOptions(options: TapOptions & IfSet<AdditionalOptions>): Omit<this, "call" | "callAsync" | "promise">;
 }
 
+declare class Hook<T, R, AdditionalOptions = UnsetAdditionalOptions> extends BaseHook<T, R, AdditionalOptions> {
+	tap(options: string | Tap & IfSet<AdditionalOptions>, fn: (...args: AsArray<T>) => R): TapDisposer;
+	tapOnce: this["tap"];
+}
+
 export class SyncHook<T, R = void, AdditionalOptions = UnsetAdditionalOptions> extends Hook<T, R, AdditionalOptions> {
 	call(...args: AsArray<T>): R;
 }
 
 export class SyncBailHook<T, R, AdditionalOptions = UnsetAdditionalOptions> extends SyncHook<T, R, AdditionalOptions> {}
 export class SyncLoopHook<T, AdditionalOptions = UnsetAdditionalOptions> extends SyncHook<T, void, AdditionalOptions> {}
-export class SyncWaterfallHook<T, AdditionalOptions = UnsetAdditionalOptions> extends SyncHook<T, AsArray<T>[0], AdditionalOptions> {}
+/**
+ * W is the tuple of the threaded arguments when the `waterfall` option is used,
+ * otherwise only the first argument is threaded.
+ */
+type WaterfallResult<T, W> = W extends any[] ? W : AsArray<T>[0];
+type WaterfallTapResult<T, W> = W extends any[]
+	? Partial<W> | { [argumentName: string]: any } | void
+	: AsArray<T>[0];
+export class SyncWaterfallHook<T, AdditionalOptions = UnsetAdditionalOptions, W extends any[] | void = void> extends SyncHook<T, WaterfallResult<T, W>, AdditionalOptions> {
+	tap(options: string | Tap & IfSet<AdditionalOptions>, fn: (...args: AsArray<T>) => WaterfallTapResult<T, W>): TapDisposer;
+}
+
+export class SyncMiddlewareHook<T, R = any, AdditionalOptions = UnsetAdditionalOptions> extends BaseHook<T, R, AdditionalOptions> {
+	call(...args: AsArray<T>): R;
+	tap(options: string | Tap & IfSet<AdditionalOptions>, fn: (...args: Append<AsArray<T>, () => R>) => R): TapDisposer;
+	tapOnce: this["tap"];
+}
+
+type CollectResult<R> = R[] | { name: string; value: R }[];
+export class SyncCollectHook<T, R = any, AdditionalOptions = UnsetAdditionalOptions> extends Hook<T, any, AdditionalOptions> {
+	call(...args: AsArray<T>): CollectResult<R>;
+	callAsync(...args: Append<AsArray<T>, Callback<Error, CollectResult<R>>>): void;
+	promise(...args: AsArray<T>): Promise<CollectResult<R>>;
+	tap(options: string | Tap & IfSet<AdditionalOptions>, fn: (...args: AsArray<T>) => R): TapDisposer;
+}
 
 declare class AsyncHook<T, R, AdditionalOptions = UnsetAdditionalOptions> extends Hook<T, R, AdditionalOptions> {
 	tapAsync(
 		options: string | Tap & IfSet<AdditionalOptions>,
 		fn: (...args: Append<AsArray<T>, InnerCallback<Error, R>>) => void
-	): void;
+	): TapDisposer;
 	tapPromise(
 		options: string | Tap & IfSet<AdditionalOptions>,
 		fn: (...args: AsArray<T>) => Promise<R>
-	): void;
+	): TapDisposer;
+	tapAsyncOnce: this["tapAsync"];
+	tapPromiseOnce: this["tapPromise"];
 }
 
-export class AsyncParallelHook<T, AdditionalOptions = UnsetAdditionalOptions> extends AsyncHook<T, void, AdditionalOptions> {}
-export class AsyncParallelBailHook<T, R, AdditionalOptions = UnsetAdditionalOptions> extends AsyncHook<T, R, AdditionalOptions> {}
+export class AsyncParallelHook<T, AdditionalOptions = UnsetAdditionalOptions> extends AsyncHook<T, void, AdditionalOptions> {
+	withConcurrency(concurrency: number): Pick<this, "callAsync" | "promise">;
+}
+export class AsyncParallelBailHook<T, R, AdditionalOptions = UnsetAdditionalOptions> extends AsyncHook<T, R, AdditionalOptions> {
+	withConcurrency(concurrency: number): Pick<this, "callAsync" | "promise">;
+}
+type SettledResult<R> =
+	| { name: string; status: "fulfilled"; value: R }
+	| { name: string; status: "rejected"; reason: any };
+export class AsyncParallelSettledHook<T, R = any, AdditionalOptions = UnsetAdditionalOptions> extends AsyncHook<T, any, AdditionalOptions> {
+	callAsync(...args: Append<AsArray<T>, Callback<Error, SettledResult<R>[]>>): void;
+	promise(...args: AsArray<T>): Promise<SettledResult<R>[]>;
+	withConcurrency(concurrency: number): Pick<this, "callAsync" | "promise">;
+}
+export class AsyncParallelCollectHook<T, R = any, AdditionalOptions = UnsetAdditionalOptions> extends AsyncHook<T, any, AdditionalOptions> {
+	callAsync(...args: Append<AsArray<T>, Callback<Error, CollectResult<R>>>): void;
+	promise(...args: AsArray<T>): Promise<CollectResult<R>>;
+	withConcurrency(concurrency: number): Pick<this, "callAsync" | "promise">;
+}
+export class AsyncRaceHook<T, R, AdditionalOptions = UnsetAdditionalOptions> extends AsyncHook<T, R, AdditionalOptions> {
+	withConcurrency(concurrency: number): Pick<this, "callAsync" | "promise">;
+}
 export class AsyncSeriesHook<T, AdditionalOptions = UnsetAdditionalOptions> extends AsyncHook<T, void, AdditionalOptions> {}
 export class AsyncSeriesBailHook<T, R, AdditionalOptions = UnsetAdditionalOptions> extends AsyncHook<T, R, AdditionalOptions> {}
 export class AsyncSeriesLoopHook<T, AdditionalOptions = UnsetAdditionalOptions> extends AsyncHook<T, void, AdditionalOptions> {}
-export class AsyncSeriesWaterfallHook<T, AdditionalOptions = UnsetAdditionalOptions> extends AsyncHook<T, AsArray<T>[0], AdditionalOptions> {}
+export class AsyncSeriesWaterfallHook<T, AdditionalOptions = UnsetAdditionalOptions, W extends any[] | void = void> extends AsyncHook<T, WaterfallResult<T, W>, AdditionalOptions> {
+	tap(options: string | Tap & IfSet<AdditionalOptions>, fn: (...args: AsArray<T>) => WaterfallTapResult<T, W>): TapDisposer;
+	tapAsync(
+		options: string | Tap & IfSet<AdditionalOptions>,
+		fn: (...args: Append<AsArray<T>, InnerCallback<Error, WaterfallTapResult<T, W>>>) => void
+	): TapDisposer;
+	tapPromise(
+		options: string | Tap & IfSet<AdditionalOptions>,
+		fn: (...args: AsArray<T>) => Promise<WaterfallTapResult<T, W>>
+	): TapDisposer;
+}
+export class AsyncMiddlewareHook<T, R = any, AdditionalOptions = UnsetAdditionalOptions> extends BaseHook<T, R, AdditionalOptions> {
+	tap(
+		options: string | Tap & IfSet<AdditionalOptions>,
+		fn: (...args: Append<AsArray<T>, () => Promise<R>>) => R | Promise<R>
+	): TapDisposer;
+	tapOnce: this["tap"];
+	tapAsync(
+		options: string | Tap & IfSet<AdditionalOptions>,
+		fn: (...args: Append<Append<AsArray<T>, { (callback: Callback<Error, R>): void; (): Promise<R> }>, InnerCallback<Error, R>>) => void
+	): TapDisposer;
+	tapPromise(
+		options: string | Tap & IfSet<AdditionalOptions>,
+		fn: (...args: Append<AsArray<T>, () => Promise<R>>) => Promise<R>
+	): TapDisposer;
+	tapAsyncOnce: this["tapAsync"];
+	tapPromiseOnce: this["tapPromise"];
+}
+export class AsyncSeriesCollectHook<T, R = any, AdditionalOptions = UnsetAdditionalOptions> extends AsyncHook<T, any, AdditionalOptions> {
+	callAsync(...args: Append<AsArray<T>, Callback<Error, CollectResult<R>>>): void;
+	promise(...args: AsArray<T>): Promise<CollectResult<R>>;
+}
 
 type HookFactory<H> = (key: any, hook?: H) => H;
 
@@ -104,12 +290,54 @@ export class HookMap<H> {
 	get(key: any): H | undefined;
 	for(key: any): H;
 	intercept(interceptor: HookMapInterceptor<H>): void;
+	seal(mode?: SealMode): void;
+	isSealed(): boolean;
 }
 
 export class MultiHook<H> {
 	constructor(hooks: H[], name?: string);
 	name: string | undefined;
-	tap(options: string | Tap, fn?: Function): void;
-	tapAsync(options: string | Tap, fn?: Function): void;
-	tapPromise(options: string | Tap, fn?: Function): void;
+	tap(options: string | Tap, fn?: Function): TapDisposer;
+	tapAsync(options: string | Tap, fn?: Function): TapDisposer;
+	tapPromise(options: string | Tap, fn?: Function): TapDisposer;
+	tapOnce(options: string | Tap, fn?: Function): TapDisposer;
+	tapAsyncOnce(options: string | Tap, fn?: Function): TapDisposer;
+	tapPromiseOnce(options: string | Tap, fn?: Function): TapDisposer;
+	untap(tap: string | FullTap): boolean;
+	disableTap(tap: string | FullTap): boolean;
+	enableTap(tap: string | FullTap): boolean;
+	intercept(interceptor: HookInterceptor<any, any>): () => boolean;
+	seal(mode?: SealMode): void;
+	isSealed(): boolean;
+}
+
+interface HookProfilerEntry {
+	id: number;
+	kind: "call" | "tap";
+	hook: string;
+	name: string;
+	type: "sync" | "async" | "promise";
+	call: number | undefined;
+	start: number;
+	end: number | undefined;
+}
+
+interface HookProfilerSummaryRow {
+	hook: string;
+	tap: string;
+	type: "sync" | "async" | "promise";
+	calls: number;
+	total: number;
+	average: number;
+	max: number;
+}
+
+export class HookProfiler {
+	constructor(options?: { now?: () => number });
+	entries: HookProfilerEntry[];
+	attach(hook: BaseHook<any, any, any> | HookMap<any> | MultiHook<any>, name?: string): void;
+	detach(): void;
+	clear(): void;
+	toChromeTrace(): { traceEvents: object[]; displayTimeUnit: string };
+	summary(options?: { limit?: number }): HookProfilerSummaryRow[];
 }